@@ -0,0 +1,62 @@
+/**
+ * Firebase Sync Backend
+ * Синхронизация през Firebase Realtime Database
+ */
+
+/**
+ * Create a backend on the Firebase compat SDK (loaded as a global script)
+ * @param {Object} config - Firebase app config
+ * @returns {import('./backend.js').SyncBackend}
+ */
+export function createFirebaseBackend(config) {
+  let db = null;
+
+  return {
+    name: 'firebase',
+
+    async connect() {
+      // Not loaded when offline - data stays on the device
+      if (typeof firebase === 'undefined') {
+        console.warn('Firebase SDK not loaded');
+        return false;
+      }
+
+      if (!config.databaseURL) {
+        console.warn('Firebase is not configured (config.json)');
+        return false;
+      }
+
+      if (!firebase.apps.length) {
+        firebase.initializeApp(config);
+      }
+      db = firebase.database();
+      return true;
+    },
+
+    watchConnection(onChange) {
+      const ref = db.ref('.info/connected');
+      const handler = ref.on('value', (snap) => onChange(snap.val() === true));
+      return () => ref.off('value', handler);
+    },
+
+    async load(path) {
+      const snapshot = await db.ref(path).once('value');
+      return snapshot.val();
+    },
+
+    async save(path, value) {
+      await db.ref(path).set(value);
+    },
+
+    async transact(path, update) {
+      const { snapshot } = await db.ref(path).transaction(update);
+      return snapshot.val();
+    },
+
+    subscribe(path, onChange) {
+      const ref = db.ref(path);
+      const handler = ref.on('value', (snapshot) => onChange(snapshot.val()));
+      return () => ref.off('value', handler);
+    }
+  };
+}
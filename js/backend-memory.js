@@ -0,0 +1,114 @@
+/**
+ * In-Memory Sync Backend
+ * Сървър в паметта (за тестове и работа без облак)
+ */
+
+// Listeners per data tree, shared by backends on the same tree
+const listenersByRoot = new WeakMap();
+
+// Data tree of this tab (every backend created without a tree shares it)
+const tabRoot = {};
+
+/**
+ * Split a path into keys
+ * @param {string} path
+ * @returns {string[]}
+ */
+function toKeys(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Check whether one path is the same as or below another
+ * @param {string} path
+ * @param {string} ancestor
+ * @returns {boolean}
+ */
+function isWithin(path, ancestor) {
+  const a = toKeys(path).join('/');
+  const b = toKeys(ancestor).join('/');
+  return a === b || !b || a.startsWith(b + '/');
+}
+
+/**
+ * Copy a value so callers can't change the stored one
+ * @param {*} value
+ * @returns {*}
+ */
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create a backend that keeps everything in this tab.
+ * Several instances on one tree act as separate devices (see test/storage.test.js).
+ * @param {Object} [root] - Data tree (defaults to the one of this tab)
+ * @returns {import('./backend.js').SyncBackend}
+ */
+export function createMemoryBackend(root = tabRoot) {
+  if (!listenersByRoot.has(root)) listenersByRoot.set(root, new Set());
+  const listeners = listenersByRoot.get(root);
+
+  const read = (path) => toKeys(path).reduce((node, key) => node?.[key], root);
+
+  const write = (path, value) => {
+    const keys = toKeys(path);
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+      return node[key];
+    }, root);
+
+    if (value != null) {
+      parent[last] = clone(value);
+    } else {
+      delete parent[last];
+
+      // Like Firebase, don't keep empty parents
+      for (let i = keys.length; i > 0 && !Object.keys(read(keys.slice(0, i).join('/'))).length; i--) {
+        delete read(keys.slice(0, i - 1).join('/'))[keys[i - 1]];
+      }
+    }
+
+    // Listeners on the path, above it or below it see the change
+    listeners.forEach(listener => {
+      if (isWithin(listener.path, path) || isWithin(path, listener.path)) {
+        listener.onChange(clone(read(listener.path)));
+      }
+    });
+  };
+
+  return {
+    name: 'memory',
+
+    async connect() {
+      return true;
+    },
+
+    watchConnection(onChange) {
+      onChange(true);
+      return () => { };
+    },
+
+    async load(path) {
+      return clone(read(path));
+    },
+
+    async save(path, value) {
+      write(path, value);
+    },
+
+    async transact(path, update) {
+      const next = update(clone(read(path)));
+      if (next !== undefined) write(path, next);
+      return clone(read(path));
+    },
+
+    subscribe(path, onChange) {
+      const listener = { path, onChange };
+      listeners.add(listener);
+      onChange(clone(read(path)));
+      return () => listeners.delete(listener);
+    }
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * REST/WebSocket Sync Backend
+ * Синхронизация през собствен сървър
+ */
+
+/**
+ * Server contract (paths as in SyncBackend):
+ * - GET    {REST_URL}/{path} → JSON value (404 = null) with an ETag header
+ *   (transactions refuse to write values that come without one)
+ * - PUT    {REST_URL}/{path} ← JSON value; honours If-Match and
+ *   If-None-Match: * (412 if changed, or if created in the meantime)
+ * - DELETE {REST_URL}/{path}
+ * - WebSocket {WS_URL}: client sends {type: 'subscribe' | 'unsubscribe', path},
+ *   server sends {type: 'change', path} after every write
+ * Without WS_URL subscriptions are polled every POLL_INTERVAL ms.
+ * Path segments are URL-encoded, the server decodes them.
+ */
+
+const TRANSACTION_RETRIES = 5;
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Check whether two paths overlap (one is the same as or below the other)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  return a === b || a.startsWith(b + '/') || b.startsWith(a + '/');
+}
+
+/**
+ * Encode each segment of a path for use in a URL
+ * @param {string} path
+ * @returns {string}
+ */
+function toUrlPath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Create a backend for a self-hosted server
+ * @param {{REST_URL: string, WS_URL: string, TOKEN: string, POLL_INTERVAL: number}} config
+ * @returns {import('./backend.js').SyncBackend}
+ */
+export function createRestBackend(config) {
+  const subscriptions = new Set();
+  const connectionListeners = new Set();
+  let socket = null;
+  let online = false;
+
+  const setOnline = (value) => {
+    if (value === online) return;
+    online = value;
+    connectionListeners.forEach(onChange => onChange(online));
+  };
+
+  const request = async (path, options = {}) => {
+    const headers = { 'Content-Type': 'application/json', ...options.headers };
+    if (config.TOKEN) headers.Authorization = `Bearer ${config.TOKEN}`;
+
+    try {
+      // no-store also keeps the service worker from answering with a cached copy
+      const response = await fetch(`${config.REST_URL}/${toUrlPath(path)}`, { cache: 'no-store', ...options, headers });
+      if (!socket) setOnline(true);
+      return response;
+    } catch (error) {
+      setOnline(false);
+      throw error;
+    }
+  };
+
+  const read = async (path) => {
+    const response = await request(path);
+    if (response.status === 404) return { value: null, etag: null };
+    if (!response.ok) throw new Error(`GET ${path}: ${response.status}`);
+    return { value: await response.json(), etag: response.headers.get('ETag') };
+  };
+
+  /**
+   * @param {string} path
+   * @param {*} value - Null deletes
+   * @param {Object} [condition] - If-Match / If-None-Match header
+   * @returns {Promise<boolean>} - False if the condition failed
+   */
+  const write = async (path, value, condition = {}) => {
+    const response = await request(path, {
+      method: value == null ? 'DELETE' : 'PUT',
+      headers: condition,
+      body: value == null ? undefined : JSON.stringify(value)
+    });
+    if (response.status === 412) return false;
+    if (!response.ok) throw new Error(`PUT ${path}: ${response.status}`);
+    return true;
+  };
+
+  /**
+   * Re-read subscriptions affected by a change and notify on new values
+   * @param {string|null} changedPath - Null refreshes all
+   */
+  const refresh = async (changedPath) => {
+    for (const sub of subscriptions) {
+      if (changedPath && !overlaps(sub.path, changedPath)) continue;
+      try {
+        const { value } = await read(sub.path);
+        const text = JSON.stringify(value);
+        if (text !== sub.last) {
+          sub.last = text;
+          sub.onChange(value);
+        }
+      } catch (error) {
+        console.error('Sync refresh error:', error);
+      }
+    }
+  };
+
+  const openSocket = () => {
+    socket = new WebSocket(config.WS_URL);
+
+    socket.onopen = () => {
+      subscriptions.forEach(sub => socket.send(JSON.stringify({ type: 'subscribe', path: sub.path })));
+      setOnline(true);
+      refresh(null);
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        if (message.type === 'change') refresh(message.path);
+      } catch (error) {
+        console.error('Sync message error:', error);
+      }
+    };
+
+    socket.onclose = () => {
+      setOnline(false);
+      setTimeout(openSocket, RECONNECT_DELAY);
+    };
+  };
+
+  return {
+    name: 'rest',
+
+    async connect() {
+      if (!config.REST_URL) {
+        console.warn('REST sync backend has no URL');
+        return false;
+      }
+
+      if (config.WS_URL) {
+        openSocket();
+      } else {
+        setInterval(() => refresh(null), config.POLL_INTERVAL);
+        window.addEventListener('online', () => refresh(null));
+        window.addEventListener('offline', () => setOnline(false));
+      }
+      return true;
+    },
+
+    watchConnection(onChange) {
+      connectionListeners.add(onChange);
+      onChange(online);
+      return () => connectionListeners.delete(onChange);
+    },
+
+    async load(path) {
+      return (await read(path)).value;
+    },
+
+    async save(path, value) {
+      await write(path, value);
+      if (!socket) refresh(path);
+    },
+
+    async transact(path, update) {
+      for (let attempt = 0; attempt < TRANSACTION_RETRIES; attempt++) {
+        const { value, etag } = await read(path);
+        if (value != null && !etag) throw new Error(`GET ${path}: no ETag, can't write without losing changes`);
+
+        const next = update(value);
+        if (next === undefined) return value;
+
+        // Missing values may only be created if nobody created them meanwhile
+        const condition = etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+        if (await write(path, next, condition)) {
+          if (!socket) refresh(path);
+          return next;
+        }
+      }
+      throw new Error(`Transaction on ${path} kept conflicting`);
+    },
+
+    subscribe(path, onChange) {
+      const sub = { path, onChange, last: undefined };
+      subscriptions.add(sub);
+
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'subscribe', path }));
+      }
+      refresh(path);
+
+      return () => {
+        subscriptions.delete(sub);
+        if (socket?.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ type: 'unsubscribe', path }));
+        }
+      };
+    }
+  };
+}
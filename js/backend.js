@@ -0,0 +1,60 @@
+/**
+ * Sync Backend Module
+ * Избор на сървър за синхронизация (Firebase, собствен REST/WebSocket, в паметта)
+ */
+
+import { SYNC_CONFIG, FIREBASE_CONFIG } from './config.js';
+import { createFirebaseBackend } from './backend-firebase.js';
+import { createRestBackend } from './backend-rest.js';
+import { createMemoryBackend } from './backend-memory.js';
+
+/**
+ * Paths are slash-separated keys, e.g. `users/{syncId}` or
+ * `disputes/{deckId}/{qid}/votes/{syncId}`. Values are JSON; null means missing.
+ *
+ * @typedef {Object} SyncBackend
+ * @property {string} name - Adapter name
+ * @property {() => Promise<boolean>} connect - Set up the client (false if unavailable)
+ * @property {(onChange: (online: boolean) => void) => Function} watchConnection - Returns unsubscribe
+ * @property {(path: string) => Promise<*>} load - Read a value
+ * @property {(path: string, value: *) => Promise<void>} save - Write a value (null removes it)
+ * @property {(path: string, update: (current: *) => *) => Promise<*>} transact - Read-modify-write, may call `update` more than once; `update` returning undefined aborts. Resolves to the stored value
+ * @property {(path: string, onChange: (value: *) => void) => Function} subscribe - Called now and on every change below `path`; returns unsubscribe
+ */
+
+/** @type {Object.<string, () => SyncBackend>} */
+const ADAPTERS = {
+  firebase: () => createFirebaseBackend(FIREBASE_CONFIG),
+  rest: () => createRestBackend(SYNC_CONFIG),
+  memory: () => createMemoryBackend()
+};
+
+/** Settings an adapter needs before it can connect */
+const REQUIRED_SETTINGS = {
+  firebase: () => !!FIREBASE_CONFIG.databaseURL,
+  rest: () => !!SYNC_CONFIG.REST_URL,
+  memory: () => true,
+  none: () => true
+};
+
+/**
+ * Check whether the backend chosen in SYNC_CONFIG has its settings
+ * (false e.g. when the deployment has no config.json)
+ * @returns {boolean}
+ */
+export function isBackendConfigured() {
+  return !!REQUIRED_SETTINGS[SYNC_CONFIG.BACKEND]?.();
+}
+
+/**
+ * Create the backend chosen in SYNC_CONFIG
+ * @returns {SyncBackend|null} - Null if sync is turned off
+ */
+export function createBackend() {
+  const create = ADAPTERS[SYNC_CONFIG.BACKEND];
+  if (!create) {
+    if (SYNC_CONFIG.BACKEND !== 'none') console.warn('Unknown sync backend:', SYNC_CONFIG.BACKEND);
+    return null;
+  }
+  return create();
+}
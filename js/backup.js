@@ -0,0 +1,134 @@
+/**
+ * Backup Module
+ * Локално резервно копие и възстановяване на всички данни
+ */
+
+import { BACKUP_CONFIG } from './config.js';
+import { getAllData } from './state.js';
+import { mergeData } from './merge.js';
+
+/**
+ * @typedef {Object} BackupFile
+ * @property {string} format - Always BACKUP_CONFIG.FORMAT
+ * @property {number} version - Schema version of `data`
+ * @property {string} createdAt - ISO date
+ * @property {string} checksum - SHA-256 (hex) of JSON-serialized `data`
+ * @property {Object} data - Same shape as state.getAllData()
+ */
+
+/**
+ * @typedef {Object} DataCounts
+ * @property {number} decks - Decks with progress
+ * @property {number} history - Finished rounds
+ * @property {number} exams - Detailed exam results
+ * @property {number} attempts - Logged answers
+ * @property {number} notes - Questions with a note
+ * @property {number} flags - Flagged questions
+ * @property {number} overrides - Edited, added or retired questions
+ * @property {number} customDecks - Imported decks
+ */
+
+// ============ CHECKSUM ============
+
+/**
+ * Hash backup data (key order is kept by JSON round trips)
+ * @param {Object} data
+ * @returns {Promise<string>} - Hex digest
+ */
+async function checksum(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ============ BACKUP ============
+
+/**
+ * Build a backup file of all decks, imported decks and the unfinished session
+ * @returns {Promise<BackupFile>}
+ */
+export async function buildBackup() {
+  const data = getAllData();
+  return {
+    format: BACKUP_CONFIG.FORMAT,
+    version: BACKUP_CONFIG.VERSION,
+    createdAt: new Date().toISOString(),
+    checksum: await checksum(data),
+    data
+  };
+}
+
+/**
+ * Parse and verify a backup file
+ * @param {string} text - File contents
+ * @returns {Promise<{ok: boolean, backup: BackupFile|null, error: string}>}
+ */
+export async function parseBackup(text) {
+  const fail = error => ({ ok: false, backup: null, error });
+
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    return fail('invalid');
+  }
+
+  if (backup?.format !== BACKUP_CONFIG.FORMAT || !backup.data) return fail('invalid');
+  if (!(backup.version <= BACKUP_CONFIG.VERSION)) return fail('version');
+  if (backup.checksum !== await checksum(backup.data)) return fail('checksum');
+
+  return { ok: true, backup, error: '' };
+}
+
+// ============ MERGE ============
+
+/**
+ * Merge backup data into the current data.
+ * Resets are ignored: restoring exists to undo them.
+ * @param {Object} current - state.getAllData()
+ * @param {Object} incoming - Backup data
+ * @returns {Object} - Same shape as state.getAllData()
+ */
+export function mergeBackupData(current, incoming) {
+  return mergeData(current, incoming, { honorResets: false });
+}
+
+// ============ PREVIEW ============
+
+/**
+ * Count what a data set holds
+ * @param {Object} data - Same shape as state.getAllData()
+ * @returns {DataCounts}
+ */
+export function countData(data) {
+  const decks = Object.values(data?.decks || {}).filter(Boolean);
+  const sum = fn => decks.reduce((total, deck) => total + fn(deck), 0);
+  const size = value => Object.values(value || {}).length;
+  const live = value => Object.values(value || {}).filter(item => item && !item.deletedAt);
+  const meta = deck => Object.values(deck.questionMeta || {}).filter(Boolean);
+
+  return {
+    decks: decks.length,
+    history: sum(deck => size(deck.history)),
+    exams: sum(deck => size(deck.examHistory)),
+    attempts: sum(deck => Object.values(deck.attemptLog || {}).reduce((n, log) => n + size(log), 0)),
+    notes: sum(deck => meta(deck).filter(m => m.note?.trim()).length),
+    flags: sum(deck => meta(deck).filter(m => m.flagged).length),
+    overrides: sum(deck => live(deck.questionOverrides).length),
+    customDecks: live(data?.customDecks).length
+  };
+}
+
+/**
+ * Describe what restoring a backup would change
+ * @param {BackupFile} backup
+ * @returns {{current: DataCounts, replace: DataCounts, merge: DataCounts}}
+ */
+export function getRestorePreview(backup) {
+  const current = getAllData();
+  return {
+    current: countData(current),
+    replace: countData(backup.data),
+    merge: countData(mergeBackupData(current, backup.data))
+  };
+}
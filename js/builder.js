@@ -0,0 +1,218 @@
+/**
+ * Session Builder Module
+ * Съставяне на персонална сесия по филтри
+ */
+
+import { MODES } from './config.js';
+import {
+  getState, getQuestion, getQuestionMeta, getSpacedRepData, getExamHistory
+} from './state.js';
+import { shuffle } from './utils.js';
+import { getQuestionTopics } from './topics.js';
+
+/**
+ * @typedef {Object} SessionFilters
+ * @property {string} search - Words to find in the question, answers or note
+ * @property {string} idRanges - Question number ranges, e.g. "1-50, 120"
+ * @property {string[]} topics - Topic IDs (empty = any)
+ * @property {boolean} flaggedOnly - Only flagged questions
+ * @property {boolean} hasNote - Only questions with a note
+ * @property {boolean} neverSeen - Only questions never answered
+ * @property {number} minWrong - Minimum wrong count
+ * @property {number} minLevel - Minimum spaced-repetition level
+ * @property {number} maxLevel - Maximum spaced-repetition level
+ * @property {string} answeredBefore - ISO date; only questions last answered before it
+ * @property {number} size - Session size
+ * @property {'random'|'id'|'difficulty'|'level'|'recent'} order - Question order
+ * @property {'learning'|'exam'|'smart'} mode - Mode to run the session in
+ */
+
+/** @type {SessionFilters} */
+export const DEFAULT_FILTERS = {
+  search: '',
+  idRanges: '',
+  topics: [],
+  flaggedOnly: false,
+  hasNote: false,
+  neverSeen: false,
+  minWrong: 0,
+  minLevel: 0,
+  maxLevel: 5,
+  answeredBefore: '',
+  size: 30,
+  order: 'random',
+  mode: MODES.LEARNING
+};
+
+/**
+ * Parse question number ranges ("1-50, 120, 130-135")
+ * @param {string} text
+ * @returns {Array<[number, number]>} - Inclusive ranges (empty = no restriction)
+ */
+export function parseIdRanges(text) {
+  return (text || '')
+    .split(/[,;\s]+/)
+    .map(part => part.match(/^(\d+)(?:-(\d+))?$/))
+    .filter(Boolean)
+    .map(([, from, to]) => {
+      const a = Number(from);
+      const b = to ? Number(to) : a;
+      return [Math.min(a, b), Math.max(a, b)];
+    });
+}
+
+/**
+ * Lowercase text and strip diacritics for searching
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split a search query into normalized words
+ * @param {string} query
+ * @returns {string[]}
+ */
+function parseSearchTerms(query) {
+  return normalizeSearchText(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Check whether a question contains every search word
+ * (question text, answers and personal note)
+ * @param {number} qid - Question ID
+ * @param {string[]} terms - Normalized search words
+ * @returns {boolean}
+ */
+function matchesSearch(qid, terms) {
+  const question = getQuestion(qid);
+  if (!question) return false;
+
+  const haystack = normalizeSearchText([
+    question.question,
+    ...Object.values(question.answers),
+    question.explanation,
+    getQuestionMeta(qid).note
+  ].join('\n'));
+
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Get the last time each question was answered
+ * (spaced-repetition timestamps and detailed exam history)
+ * @returns {Map<number, number>} - Question ID → timestamp
+ */
+export function getLastAnsweredMap() {
+  const last = new Map();
+  const touch = (qid, ts) => {
+    if (ts && ts > (last.get(qid) || 0)) last.set(qid, ts);
+  };
+
+  Object.entries(getState().spacedRepetition).forEach(([qid, data]) => {
+    touch(Number(qid), data.lastSeen);
+  });
+
+  getExamHistory().forEach(exam => {
+    const ts = new Date(exam.date).getTime();
+    (exam.questions || []).forEach(q => {
+      if (q.answer) touch(q.qid, ts);
+    });
+  });
+
+  return last;
+}
+
+/**
+ * Get question IDs matching all filters
+ * @param {SessionFilters} filters
+ * @returns {number[]}
+ */
+export function filterQuestions(filters) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const state = getState();
+  const ranges = parseIdRanges(f.idRanges);
+  const lastAnswered = getLastAnsweredMap();
+  const before = f.answeredBefore ? new Date(f.answeredBefore).getTime() : null;
+  const terms = parseSearchTerms(f.search);
+
+  return state.allQuestionIds.filter(qid => {
+    if (ranges.length && !ranges.some(([a, b]) => qid >= a && qid <= b)) return false;
+
+    if (f.topics.length && !getQuestionTopics(qid).some(t => f.topics.includes(t))) return false;
+
+    const meta = getQuestionMeta(qid);
+    if (f.flaggedOnly && !meta.flagged) return false;
+    if (f.hasNote && !meta.note?.trim()) return false;
+
+    const wrong = state.wrongCounts[qid] || 0;
+    if (f.neverSeen && (lastAnswered.has(qid) || wrong > 0)) return false;
+    if (wrong < f.minWrong) return false;
+
+    const level = getSpacedRepData(qid).level;
+    if (level < f.minLevel || level > f.maxLevel) return false;
+
+    // Never answered questions have no "last answered" date
+    if (before !== null && !(lastAnswered.get(qid) < before)) return false;
+
+    if (terms.length && !matchesSearch(qid, terms)) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Order question IDs
+ * @param {number[]} questionIds
+ * @param {'random'|'id'|'difficulty'|'level'|'recent'} order
+ * @returns {number[]}
+ */
+export function orderQuestions(questionIds, order) {
+  if (order === 'id') {
+    return [...questionIds].sort((a, b) => a - b);
+  }
+
+  if (order === 'level') {
+    // Least learned first, then by number
+    const level = qid => getSpacedRepData(qid).level;
+    return [...questionIds].sort((a, b) => level(a) - level(b) || a - b);
+  }
+
+  if (order === 'recent') {
+    // Most recently answered first; never answered last
+    const lastAnswered = getLastAnsweredMap();
+    const ts = qid => lastAnswered.get(qid) || 0;
+    return [...questionIds].sort((a, b) => ts(b) - ts(a) || a - b);
+  }
+
+  if (order === 'difficulty') {
+    // Hardest first: most wrong answers, then lowest level
+    const { wrongCounts } = getState();
+    const difficulty = qid => (wrongCounts[qid] || 0) * 10 - getSpacedRepData(qid).level;
+    return shuffle(questionIds).sort((a, b) => difficulty(b) - difficulty(a));
+  }
+
+  return shuffle(questionIds);
+}
+
+/**
+ * Build a session from filters
+ * @param {SessionFilters} filters
+ * @returns {number[]}
+ */
+export function buildSession(filters) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const matched = filterQuestions(f);
+
+  // "By difficulty" keeps the hardest; otherwise trim randomly, then order
+  if (f.order === 'difficulty') {
+    return orderQuestions(matched, f.order).slice(0, f.size);
+  }
+
+  return orderQuestions(shuffle(matched).slice(0, f.size), f.order);
+}
@@ -0,0 +1,217 @@
+/**
+ * Profile Encryption Module
+ * Ключ от парола и криптиране на синхронизираните данни
+ */
+
+import { PROFILE_CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} EncryptedEnvelope
+ * @property {number} encrypted - Format version
+ * @property {number} timestamp - Plain copy of data.timestamp (for change detection)
+ * @property {string} iv - AES-GCM nonce (base64url)
+ * @property {string} payload - Encrypted JSON (base64url)
+ */
+
+// Imported AES keys by key string
+const keyCache = new Map();
+
+// ============ ENCODING ============
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} - base64url
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - base64url
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ============ KEYS ============
+
+/**
+ * Generate a sync ID that can't be guessed
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function generateSecureId(prefix) {
+  let chars = '';
+
+  // Bytes of 252 and up are dropped: 252 = 7 * 36, so every character is equally likely
+  while (chars.length < PROFILE_CONFIG.ID_LENGTH) {
+    crypto.getRandomValues(new Uint8Array(PROFILE_CONFIG.ID_LENGTH)).forEach(b => {
+      if (b < 252 && chars.length < PROFILE_CONFIG.ID_LENGTH) chars += (b % 36).toString(36);
+    });
+  }
+  return `${prefix}_${chars}`;
+}
+
+/**
+ * Derive the profile key from a passphrase (the sync ID is the salt)
+ * @param {string} syncId
+ * @param {string} passphrase
+ * @returns {Promise<string>} - Key (base64url), safe to keep on the device
+ */
+export async function deriveProfileKey(syncId, passphrase) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits({
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    salt: new TextEncoder().encode(`agentforce-exam:${syncId}`),
+    iterations: PROFILE_CONFIG.PBKDF2_ITERATIONS
+  }, material, 256);
+  return toBase64Url(new Uint8Array(bits));
+}
+
+/**
+ * Check that a string looks like a profile key
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isProfileKey(key) {
+  return typeof key === 'string' && /^[A-Za-z0-9_-]{43}$/.test(key);
+}
+
+/**
+ * Get the backend ID of a protected profile.
+ * Derived from the key, so knowing the sync ID alone doesn't reveal where the data is.
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+export async function getProfileStorageId(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`path:${key}`));
+  return toHex(digest).slice(0, 40);
+}
+
+/**
+ * Get the public ID a profile uses in shared paths (dispute votes).
+ * Salted hash, so the sync ID - enough to open a profile without a passphrase - is never published.
+ * @param {string} syncId
+ * @returns {Promise<string>}
+ */
+export async function deriveVoterId(syncId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`agentforce-exam:voter:${syncId}`));
+  return toHex(digest).slice(0, 32);
+}
+
+// ============ SIGNATURES ============
+
+const SIGNING = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+
+/**
+ * Create a signing key pair (maintainer decisions)
+ * @returns {Promise<{privateKey: JsonWebKey, publicKey: string}>} - Private half stays on the device, public half (base64url) is published
+ */
+export async function createSigningKey() {
+  const pair = await crypto.subtle.generateKey(SIGNING, true, ['sign', 'verify']);
+  return {
+    privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+    publicKey: toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey)))
+  };
+}
+
+/**
+ * Sign a JSON value
+ * @param {*} value
+ * @param {JsonWebKey} privateKey
+ * @returns {Promise<string>} - Signature (base64url)
+ */
+export async function signData(value, privateKey) {
+  const key = await crypto.subtle.importKey('jwk', privateKey, SIGNING, false, ['sign']);
+  const signature = await crypto.subtle.sign(SIGNING, key, new TextEncoder().encode(JSON.stringify(value)));
+  return toBase64Url(new Uint8Array(signature));
+}
+
+/**
+ * Check the signature of a JSON value
+ * @param {*} value
+ * @param {string} signature - base64url
+ * @param {string} publicKey - base64url
+ * @returns {Promise<boolean>} - False for a wrong signature or a malformed key
+ */
+export async function verifySignature(value, signature, publicKey) {
+  try {
+    const key = await crypto.subtle.importKey('raw', fromBase64Url(publicKey), SIGNING, false, ['verify']);
+    return await crypto.subtle.verify(SIGNING, key, fromBase64Url(signature), new TextEncoder().encode(JSON.stringify(value)));
+  } catch {
+    return false;
+  }
+}
+
+// ============ ENCRYPTION ============
+
+/**
+ * Import a profile key for AES-GCM
+ * @param {string} key
+ * @returns {Promise<CryptoKey>}
+ */
+async function getAesKey(key) {
+  if (!keyCache.has(key)) {
+    keyCache.set(key, crypto.subtle.importKey('raw', fromBase64Url(key), 'AES-GCM', false, ['encrypt', 'decrypt']));
+  }
+  return keyCache.get(key);
+}
+
+/**
+ * Check whether a synced value is encrypted
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return !!value?.encrypted && typeof value.payload === 'string';
+}
+
+/**
+ * Encrypt profile data
+ * @param {Object} data - Same shape as state.getAllData()
+ * @param {string} key - Profile key
+ * @returns {Promise<EncryptedEnvelope>}
+ */
+export async function encryptData(data, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plain = new TextEncoder().encode(JSON.stringify(data));
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getAesKey(key), plain);
+
+  return {
+    encrypted: 1,
+    timestamp: data.timestamp,
+    iv: toBase64Url(iv),
+    payload: toBase64Url(new Uint8Array(cipher))
+  };
+}
+
+/**
+ * Decrypt profile data
+ * @param {EncryptedEnvelope} envelope
+ * @param {string} key - Profile key
+ * @returns {Promise<Object>}
+ * @throws {Error} - Wrong key or tampered data
+ */
+export async function decryptData(envelope, key) {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64Url(envelope.iv) },
+    await getAesKey(key),
+    fromBase64Url(envelope.payload)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
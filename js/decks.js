@@ -0,0 +1,140 @@
+/**
+ * Deck Registry Module
+ * Списък с тестета (сертификации) и зареждане на въпросите им
+ */
+
+import { DECK_CONFIG, EXAM_CONFIG, STORAGE_KEYS } from './config.js';
+
+/**
+ * @typedef {Object} DeckInfo
+ * @property {string} id - Deck ID (used to namespace progress data)
+ * @property {string} title - Display title
+ * @property {string} [path] - Path to the questions JSON
+ * @property {Object[]} [questions] - Inline questions (imported decks)
+ * @property {boolean} [custom] - Created by importing questions
+ * @property {number} [passThreshold] - Pass threshold in percent
+ * @property {number} [timeLimitMinutes] - Exam time limit
+ * @property {number} [totalExams] - Number of pre-sliced exams
+ * @property {number} [mockSize] - Questions in a mock exam
+ * @property {Array<{id: string, title: string, weight: number, keywords?: string[]}>} [blueprint] - Exam outline
+ */
+
+// Exam settings before any deck overrides them
+// (taken on first use, after runtime config is applied)
+let defaultExamSettings = null;
+
+/** @type {DeckInfo[]} */
+let decks = [];
+
+/** @type {DeckInfo[]} */
+let customDecks = [];
+
+/**
+ * Load deck registry from the manifest
+ * @returns {Promise<DeckInfo[]>}
+ */
+export async function loadDeckRegistry() {
+  if (Array.isArray(DECK_CONFIG.DECKS) && DECK_CONFIG.DECKS.length) {
+    decks = DECK_CONFIG.DECKS;
+    return decks;
+  }
+
+  try {
+    const response = await fetch(DECK_CONFIG.MANIFEST_PATH);
+    if (!response.ok) throw new Error('Failed to load deck manifest');
+
+    const data = await response.json();
+    decks = Array.isArray(data.decks) && data.decks.length
+      ? data.decks
+      : DECK_CONFIG.FALLBACK_DECKS;
+  } catch (error) {
+    console.warn('Deck manifest unavailable, using fallback:', error);
+    decks = DECK_CONFIG.FALLBACK_DECKS;
+  }
+  return decks;
+}
+
+/**
+ * Get all registered decks
+ * @returns {DeckInfo[]}
+ */
+export function getDecks() {
+  return [...decks, ...customDecks];
+}
+
+/**
+ * Get deck by ID
+ * @param {string} deckId
+ * @returns {DeckInfo|undefined}
+ */
+export function getDeck(deckId) {
+  return getDecks().find(d => d.id === deckId);
+}
+
+/**
+ * Register decks created by importing questions
+ * @param {Object.<string, {title: string, questions: Object[]}>} data - Imported decks by ID
+ */
+export function setCustomDecks(data) {
+  customDecks = Object.entries(data || {})
+    .filter(([, deck]) => deck && !deck.deletedAt)  // Removed on some device
+    .map(([id, deck]) => ({
+      id,
+      title: deck.title,
+      questions: deck.questions,
+      custom: true
+    }));
+}
+
+/**
+ * Get the deck chosen on this device (falls back to the default deck)
+ * @returns {DeckInfo}
+ */
+export function getPreferredDeck() {
+  const saved = localStorage.getItem(STORAGE_KEYS.ACTIVE_DECK);
+  return getDeck(saved) || getDeck(DECK_CONFIG.DEFAULT_DECK_ID) || decks[0];
+}
+
+/**
+ * Remember the chosen deck on this device
+ * @param {string} deckId
+ */
+export function setPreferredDeck(deckId) {
+  localStorage.setItem(STORAGE_KEYS.ACTIVE_DECK, deckId);
+}
+
+/**
+ * Apply deck exam settings (threshold, time limit, exam count, blueprint)
+ * @param {DeckInfo} deck
+ */
+export function applyDeckSettings(deck) {
+  if (!defaultExamSettings) {
+    defaultExamSettings = {
+      TOTAL_EXAMS: EXAM_CONFIG.TOTAL_EXAMS,
+      PASS_THRESHOLD: EXAM_CONFIG.PASS_THRESHOLD,
+      TIME_LIMIT_MINUTES: EXAM_CONFIG.TIME_LIMIT_MINUTES,
+      MOCK_SIZE: EXAM_CONFIG.MOCK_SIZE
+    };
+  }
+
+  EXAM_CONFIG.TOTAL_EXAMS = deck.totalExams || defaultExamSettings.TOTAL_EXAMS;
+  EXAM_CONFIG.PASS_THRESHOLD = deck.passThreshold || defaultExamSettings.PASS_THRESHOLD;
+  EXAM_CONFIG.TIME_LIMIT_MINUTES = deck.timeLimitMinutes || defaultExamSettings.TIME_LIMIT_MINUTES;
+  EXAM_CONFIG.MOCK_SIZE = deck.mockSize || defaultExamSettings.MOCK_SIZE;
+  EXAM_CONFIG.BLUEPRINT = Array.isArray(deck.blueprint) ? deck.blueprint : [];
+}
+
+/**
+ * Fetch questions of a deck
+ * @param {DeckInfo} deck
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchDeckQuestions(deck) {
+  if (deck.questions) return deck.questions;
+
+  const response = await fetch(deck.path);
+  if (!response.ok) throw new Error(`Failed to load questions for ${deck.id}`);
+
+  const data = await response.json();
+  return data.questions;
+}
@@ -0,0 +1,271 @@
+/**
+ * Disputed Answers Module
+ * Оспорени отговори и гласуване за верния ключ
+ */
+
+import { DISPUTE_CONFIG } from './config.js';
+import { getQuestion, getQuestionOverrides } from './state.js';
+import { getEditorDraft, saveQuestionEdit } from './editor.js';
+import { signData, verifySignature } from './cipher.js';
+
+/**
+ * @typedef {Object} DisputeVote
+ * @property {string[]} answer - Proposed correct letters
+ * @property {string} reason - Why the official key is wrong
+ * @property {number} date - Timestamp
+ */
+
+/**
+ * @typedef {Object} DisputeResolution
+ * @property {'accepted'|'rejected'} status - Accepted changes the key, rejected keeps it
+ * @property {string[]} correct - Answer key decided by the maintainer
+ * @property {number} date - Timestamp
+ * @property {string} by - Public key of the maintainer
+ * @property {string} signature - Signature of the decision by that key
+ */
+
+/**
+ * @typedef {Object} DisputeSummary
+ * @property {number} total - Number of votes
+ * @property {Array<{answer: string[], count: number, official: boolean}>} options - Votes per proposed key
+ * @property {Array<{answer: string[], reason: string, date: number}>} reasons - Newest first
+ * @property {DisputeResolution|null} resolution - Maintainer decision
+ * @property {boolean} open - Has votes after the last resolution
+ */
+
+// Shared disputes of the active deck: { qid: { votes: { voterId: DisputeVote }, resolution } }
+let disputes = {};
+
+// Resolutions with a valid maintainer signature: { qid: DisputeResolution }
+let trustedResolutions = {};
+
+// Latest setDisputes call (older ones still verifying are dropped)
+let disputesVersion = 0;
+
+// Public ID of this profile in shared paths (never the sync ID)
+let voterId = null;
+
+// Maintainer signing key of this device
+let maintainerKey = null;
+
+/**
+ * Compare two answer keys regardless of order
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameKey(a, b) {
+  return [...a].sort().join(',') === [...b].sort().join(',');
+}
+
+/**
+ * Keep only letters that exist in the question
+ * (votes come from other profiles and are not trusted)
+ * @param {number} qid - Question ID
+ * @param {*} answer - Raw answer letters
+ * @returns {string[]}
+ */
+function cleanAnswer(qid, answer) {
+  const question = getQuestion(qid);
+  if (!question || !Array.isArray(answer)) return [];
+  return [...new Set(answer.filter(letter => Object.hasOwn(question.answers, letter)))].sort();
+}
+
+/**
+ * Get what a maintainer signs for a decision
+ * (deck and question included, so a signature can't be moved to another question)
+ * @param {string} deckId - Deck ID
+ * @param {number} qid - Question ID
+ * @param {DisputeResolution} resolution
+ * @returns {Array}
+ */
+function signedPart(deckId, qid, resolution) {
+  return [deckId, qid, resolution.status, resolution.correct, resolution.date];
+}
+
+/**
+ * Check that a maintainer key signed a resolution
+ * (anyone can write one, and `by` is public)
+ * @param {string} deckId - Deck ID
+ * @param {number} qid - Question ID
+ * @param {*} resolution - Raw resolution
+ * @returns {Promise<boolean>}
+ */
+async function isTrusted(deckId, qid, resolution) {
+  if (!Array.isArray(resolution?.correct) || typeof resolution.signature !== 'string') return false;
+  if (!DISPUTE_CONFIG.MAINTAINERS.includes(resolution.by)) return false;
+  return verifySignature(signedPart(deckId, qid, resolution), resolution.signature, resolution.by);
+}
+
+/**
+ * Get a question's resolution if a maintainer signed it
+ * @param {number} qid - Question ID
+ * @returns {DisputeResolution|null}
+ */
+function getTrustedResolution(qid) {
+  return trustedResolutions[qid] || null;
+}
+
+/**
+ * Set the voter ID of the current profile
+ * @param {string|null} id
+ */
+export function setVoterId(id) {
+  voterId = id;
+}
+
+/**
+ * Set the maintainer signing key of this device
+ * @param {{privateKey: JsonWebKey, publicKey: string}|null} key
+ */
+export function setMaintainerKey(key) {
+  maintainerKey = key;
+}
+
+/**
+ * Replace the shared disputes of the active deck and check their signatures.
+ * The backend may return numeric-keyed maps as sparse arrays.
+ * @param {string} deckId - Deck ID
+ * @param {Object|Array|null} data
+ * @returns {Promise<boolean>} - False if newer disputes were set meanwhile
+ */
+export async function setDisputes(deckId, data) {
+  const version = ++disputesVersion;
+  const entries = Object.entries(data || {}).filter(([, value]) => value != null);
+
+  const trusted = {};
+  for (const [qid, entry] of entries) {
+    if (await isTrusted(deckId, Number(qid), entry.resolution)) trusted[qid] = entry.resolution;
+  }
+  if (version !== disputesVersion) return false;
+
+  disputes = Object.fromEntries(entries);
+  trustedResolutions = trusted;
+  return true;
+}
+
+/**
+ * Check whether this device may resolve disputes
+ * @returns {boolean}
+ */
+export function isMaintainer() {
+  return !!maintainerKey && DISPUTE_CONFIG.MAINTAINERS.includes(maintainerKey.publicKey);
+}
+
+/**
+ * Get this profile's vote on a question
+ * @param {number} qid - Question ID
+ * @returns {DisputeVote|null}
+ */
+export function getOwnVote(qid) {
+  return (voterId && disputes[qid]?.votes?.[voterId]) || null;
+}
+
+/**
+ * Aggregate votes on a question
+ * @param {number} qid - Question ID
+ * @returns {DisputeSummary|null} - Null if the question was never disputed
+ */
+export function getDisputeSummary(qid) {
+  const entry = disputes[qid];
+  const question = getQuestion(qid);
+  if (!entry || !question) return null;
+
+  const votes = Object.values(entry.votes || {})
+    .map(vote => ({ ...vote, answer: cleanAnswer(qid, vote?.answer) }))
+    .filter(vote => vote.answer.length);
+
+  const resolution = getTrustedResolution(qid);
+  if (!votes.length && !resolution) return null;
+
+  const counts = new Map();
+  votes.forEach(vote => {
+    const key = vote.answer.join(',');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const options = [...counts.entries()]
+    .map(([key, count]) => {
+      const answer = key.split(',');
+      return { answer, count, official: sameKey(answer, question.correct) };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  const reasons = votes
+    .filter(vote => typeof vote.reason === 'string' && vote.reason.trim())
+    .map(vote => ({ answer: vote.answer, reason: vote.reason, date: vote.date || 0 }))
+    .sort((a, b) => b.date - a.date);
+
+  return {
+    total: votes.length,
+    options,
+    reasons,
+    resolution,
+    open: votes.some(vote => (vote.date || 0) > (resolution?.date || 0))
+  };
+}
+
+/**
+ * Check whether a question has votes the maintainer hasn't resolved
+ * @param {number} qid - Question ID
+ * @returns {boolean}
+ */
+export function hasOpenDispute(qid) {
+  return !!getDisputeSummary(qid)?.open;
+}
+
+/**
+ * Build this profile's vote
+ * @param {string[]} answer - Proposed correct letters
+ * @param {string} reason - Free-text argument
+ * @returns {DisputeVote}
+ */
+export function buildVote(answer, reason) {
+  return {
+    answer: [...answer].sort(),
+    reason: reason.trim().slice(0, DISPUTE_CONFIG.MAX_REASON_LENGTH),
+    date: Date.now()
+  };
+}
+
+/**
+ * Build a signed maintainer decision for a question
+ * @param {string} deckId - Deck ID
+ * @param {number} qid - Question ID
+ * @param {string[]} correct - Decided answer key (the current key rejects the dispute)
+ * @returns {Promise<DisputeResolution>}
+ */
+export async function buildResolution(deckId, qid, correct) {
+  const resolution = {
+    status: sameKey(correct, getQuestion(qid).correct) ? 'rejected' : 'accepted',
+    correct: [...correct].sort(),
+    date: Date.now(),
+    by: maintainerKey.publicKey
+  };
+  const signature = await signData(signedPart(deckId, qid, resolution), maintainerKey.privateKey);
+  return { ...resolution, signature };
+}
+
+/**
+ * Apply accepted resolutions to the local overrides layer.
+ * Local edits made after a resolution win over it.
+ * @returns {number} - Number of questions changed
+ */
+export function applyResolutions() {
+  let applied = 0;
+
+  Object.keys(disputes).forEach(key => {
+    const qid = Number(key);
+    const resolution = getTrustedResolution(qid);
+    const question = getQuestion(qid);
+    if (resolution?.status !== 'accepted' || !question) return;
+
+    const correct = cleanAnswer(qid, resolution.correct);
+    if (!correct.length || sameKey(correct, question.correct)) return;
+    if ((getQuestionOverrides()[qid]?.updatedAt || 0) > resolution.date) return;
+
+    if (saveQuestionEdit({ ...getEditorDraft(qid), correct }).ok) applied++;
+  });
+
+  return applied;
+}
@@ -0,0 +1,235 @@
+/**
+ * Question Editor Module
+ * Локални корекции на въпросите и експорт за upstream
+ */
+
+import {
+  getState, getQuestion, getBaseQuestion, getQuestionOverrides,
+  setQuestionOverride, mergeQuestionOverrides
+} from './state.js';
+import { validateQuestions } from './validator.js';
+
+/** Fields the editor can change */
+const EDITABLE_FIELDS = ['question', 'answers', 'correct', 'explanation'];
+
+/**
+ * @typedef {Object} QuestionDraft
+ * @property {number} number - Question ID
+ * @property {string} question - Question text
+ * @property {Object.<string, string>} answers - Answer options
+ * @property {string[]} correct - Correct answer letters
+ * @property {string} explanation - Explanation ('' = none)
+ */
+
+/**
+ * Get the number for a new question (after every base and added one)
+ * @returns {number}
+ */
+export function getNextQuestionNumber() {
+  const numbers = Object.keys(getState().questions).map(Number);
+  return numbers.length ? Math.max(...numbers) + 1 : 1;
+}
+
+/**
+ * Check whether a question differs from the base bank
+ * @param {number} qid - Question ID
+ * @returns {boolean}
+ */
+export function isOverridden(qid) {
+  return qid in getQuestionOverrides();
+}
+
+/**
+ * Get a question for the editor (current merged version)
+ * @param {number|null} qid - Question ID, null for a new question
+ * @returns {QuestionDraft}
+ */
+export function getEditorDraft(qid) {
+  const question = qid ? getQuestion(qid) : null;
+
+  if (!question) {
+    return {
+      number: getNextQuestionNumber(),
+      question: '',
+      answers: { A: '', B: '', C: '', D: '' },
+      correct: [],
+      explanation: ''
+    };
+  }
+
+  return {
+    number: question.number,
+    question: question.question,
+    answers: { ...question.answers },
+    correct: [...question.correct],
+    explanation: question.explanation || ''
+  };
+}
+
+/**
+ * Get the fields of a draft that differ from the base question
+ * @param {QuestionDraft} draft
+ * @param {Object|undefined} base - Base question (undefined for new questions)
+ * @returns {Object}
+ */
+function diffFields(draft, base) {
+  const changed = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    const before = base?.[field] ?? (field === 'explanation' ? '' : undefined);
+    if (JSON.stringify(draft[field]) !== JSON.stringify(before)) {
+      changed[field] = draft[field];
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Validate and store an edited or new question
+ * @param {QuestionDraft} draft
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function saveQuestionEdit(draft) {
+  const { problems } = validateQuestions([draft]);
+  const errors = problems.filter(p => p.severity === 'error').map(p => p.message);
+  if (errors.length) return { ok: false, errors };
+
+  const base = getBaseQuestion(draft.number);
+  const retired = getQuestionOverrides()[draft.number]?.retired;
+  const changed = diffFields(draft, base);
+
+  if (base && !Object.keys(changed).length && !retired) {
+    setQuestionOverride(draft.number, null);
+  } else {
+    setQuestionOverride(draft.number, {
+      ...changed,
+      ...(base ? {} : { added: true }),
+      ...(retired ? { retired: true } : {})
+    });
+  }
+
+  return { ok: true, errors: [] };
+}
+
+/**
+ * Retire a question or bring it back
+ * @param {number} qid - Question ID
+ * @param {boolean} retired
+ */
+export function setQuestionRetired(qid, retired) {
+  const override = { ...getQuestionOverrides()[qid] };
+  delete override.updatedAt;
+  delete override.retired;
+
+  if (!retired && getBaseQuestion(qid) && !Object.keys(override).length) {
+    setQuestionOverride(qid, null);
+    return;
+  }
+
+  setQuestionOverride(qid, retired ? { ...override, retired: true } : override);
+}
+
+/**
+ * Add questions to the active deck as local additions
+ * @param {Object[]} questions - Validated questions
+ * @returns {number[]} - Assigned question numbers
+ */
+export function addImportedQuestions(questions) {
+  const start = getNextQuestionNumber();
+
+  return questions.map((question, i) => {
+    const number = start + i;
+    setQuestionOverride(number, { ...question, number, added: true });
+    return number;
+  });
+}
+
+/**
+ * Drop all local changes of a question (removes added questions)
+ * @param {number} qid - Question ID
+ */
+export function revertQuestion(qid) {
+  setQuestionOverride(qid, null);
+}
+
+/**
+ * Count local changes by kind
+ * @returns {{edited: number, added: number, retired: number}}
+ */
+export function getOverrideSummary() {
+  const overrides = Object.values(getQuestionOverrides());
+  return {
+    edited: overrides.filter(o => !o.added && EDITABLE_FIELDS.some(f => f in o)).length,
+    added: overrides.filter(o => o.added).length,
+    retired: overrides.filter(o => o.retired).length
+  };
+}
+
+/**
+ * Build the question bank with all local changes applied
+ * (retired questions are left out)
+ * @returns {{meta: {total_questions: number}, questions: QuestionData[]}}
+ */
+export function buildPatchedBank() {
+  const questions = mergeQuestionOverrides(getState().baseQuestions, getQuestionOverrides())
+    .filter(q => !q.retired);
+
+  return {
+    meta: { total_questions: questions.length },
+    questions
+  };
+}
+
+/**
+ * Format local changes as a plain-text diff for upstreaming
+ * @param {string} source - Deck or file name
+ * @returns {string}
+ */
+export function formatOverridesDiff(source) {
+  const show = value => JSON.stringify(value ?? null);
+
+  const entries = Object.entries(getQuestionOverrides())
+    .map(([qid, override]) => [Number(qid), override])
+    .sort(([a], [b]) => a - b);
+
+  const blocks = entries.map(([qid, override]) => {
+    const base = getBaseQuestion(qid);
+
+    // Questions removed upstream have nothing to diff against
+    if (override.added || !base) {
+      return [`+ Q${qid} (нов)${override.retired ? ' [изтеглен]' : ''}`,
+        ...EDITABLE_FIELDS
+          .filter(field => field in override)
+          .map(field => `  ${field}: ${show(override[field])}`)
+      ].join('\n');
+    }
+
+    const lines = [`~ Q${qid}${override.retired ? ' [изтеглен]' : ''}`];
+
+    EDITABLE_FIELDS.filter(field => field in override).forEach(field => {
+      if (field === 'answers') {
+        const letters = [...new Set([...Object.keys(base.answers), ...Object.keys(override.answers)])].sort();
+        letters
+          .filter(letter => base.answers[letter] !== override.answers[letter])
+          .forEach(letter => {
+            lines.push(`  answers.${letter}: ${show(base.answers[letter])} → ${show(override.answers[letter])}`);
+          });
+      } else {
+        lines.push(`  ${field}: ${show(base[field])} → ${show(override[field])}`);
+      }
+    });
+
+    return lines.join('\n');
+  });
+
+  const summary = getOverrideSummary();
+
+  return [
+    `Question changes: ${source}`,
+    `Generated: ${new Date().toISOString()}`,
+    `Edited: ${summary.edited}, added: ${summary.added}, retired: ${summary.retired}`,
+    '',
+    ...blocks.flatMap(block => [block, ''])
+  ].join('\n');
+}
@@ -0,0 +1,235 @@
+/**
+ * Export Module
+ * Експорт на прогрес и въпроси (CSV, Anki, печат)
+ */
+
+import { EXAM_CONFIG, SPACED_REP_CONFIG } from './config.js';
+import {
+  getState, getQuestion, getQuestionMeta, getAttempts, getFlaggedQuestionIds
+} from './state.js';
+import { getCard } from './smart.js';
+import { getWeakPoints } from './stats.js';
+import { filterQuestions } from './builder.js';
+import { getPrimaryTopic, getTopicTitle } from './topics.js';
+import { escapeHtml, toDayKey } from './utils.js';
+
+/**
+ * @typedef {'weak'|'flagged'|'notes'|'all'} QuestionSet
+ */
+
+// ============ QUESTION SETS ============
+
+/**
+ * Pick the questions of a named set
+ * @param {QuestionSet} set
+ * @param {number} limit - Maximum number of questions
+ * @returns {number[]}
+ */
+export function getQuestionSet(set, limit) {
+  if (set === 'weak') return getWeakPoints(limit).map(w => w.qid);
+  if (set === 'flagged') return getFlaggedQuestionIds().slice(0, limit);
+  if (set === 'notes') return filterQuestions({ hasNote: true }).slice(0, limit);
+  return getState().allQuestionIds.slice(0, limit);
+}
+
+// ============ CSV ============
+
+/**
+ * Build CSV text (with BOM so spreadsheets detect UTF-8)
+ * @param {Array<Array<*>>} rows - Header row first
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const cell = value => {
+    const text = value == null ? '' : String(value);
+    return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return '\uFEFF' + rows.map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+/**
+ * Export finished rounds as CSV
+ * @returns {string}
+ */
+export function buildHistoryCsv() {
+  const rows = getState().history.map(h => [
+    h.date,
+    h.mode,
+    h.total,
+    h.correct,
+    h.pct,
+    h.avgTime,
+    h.pct >= EXAM_CONFIG.PASS_THRESHOLD ? 'yes' : 'no'
+  ]);
+
+  return toCsv([
+    ['date', 'mode', 'total', 'correct', 'pct', 'avg_time_s', 'passed'],
+    ...rows
+  ]);
+}
+
+/**
+ * Export per-question statistics as CSV
+ * @returns {string}
+ */
+export function buildQuestionStatsCsv() {
+  const { allQuestionIds, wrongCounts } = getState();
+
+  const rows = allQuestionIds.map(qid => {
+    const question = getQuestion(qid);
+    const meta = getQuestionMeta(qid);
+    const card = getCard(qid);
+    const attempts = getAttempts(qid);
+    const correctAttempts = attempts.filter(a => a.correct).length;
+
+    return [
+      qid,
+      getTopicTitle(getPrimaryTopic(qid)),
+      question.question,
+      question.correct.join(' '),
+      wrongCounts[qid] || 0,
+      attempts.length,
+      attempts.length ? Math.round((correctAttempts / attempts.length) * 100) : '',
+      card.level,
+      card.seenCount ? card.ease : '',
+      card.seenCount ? card.interval : '',
+      card.seenCount ? toDayKey(new Date(card.due)) : '',
+      card.lapses,
+      card.lastSeen ? new Date(card.lastSeen).toISOString() : '',
+      meta.flagged ? 'yes' : 'no',
+      meta.note || ''
+    ];
+  });
+
+  return toCsv([
+    ['number', 'topic', 'question', 'correct', 'wrong_count', 'attempts', 'accuracy_pct',
+      'sr_level', 'ease', 'interval_days', 'due', 'lapses', 'last_seen', 'flagged', 'note'],
+    ...rows
+  ]);
+}
+
+// ============ ANKI ============
+
+/**
+ * Make a value safe for one TSV field (Anki reads fields as HTML)
+ * @param {string} html
+ * @returns {string}
+ */
+function toTsvField(html) {
+  return html.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Make a tag safe for Anki (no spaces)
+ * @param {string} text
+ * @returns {string}
+ */
+function toAnkiTag(text) {
+  return text.trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Export questions as an Anki-importable TSV deck
+ * (question and options on the front; key, explanation and note on the back)
+ * @param {number[]} questionIds
+ * @param {string} deckTitle - Anki deck name
+ * @returns {string}
+ */
+export function buildAnkiTsv(questionIds, deckTitle) {
+  const { wrongCounts } = getState();
+
+  const rows = questionIds.map(getQuestion).filter(Boolean).map(question => {
+    const qid = question.number;
+    const meta = getQuestionMeta(qid);
+
+    const front = [
+      `[Q${qid}] ${escapeHtml(question.question)}`,
+      '',
+      ...Object.entries(question.answers).map(([letter, text]) => `${escapeHtml(letter)}. ${escapeHtml(text)}`)
+    ].join('\n');
+
+    const back = [
+      ...question.correct.map(letter => `<b>✅ ${escapeHtml(letter)}. ${escapeHtml(question.answers[letter])}</b>`),
+      question.explanation ? `\n💡 ${escapeHtml(question.explanation)}` : '',
+      meta.note?.trim() ? `<hr>📝 ${escapeHtml(meta.note)}` : ''
+    ].filter(Boolean).join('\n');
+
+    const tags = [
+      toAnkiTag(deckTitle),
+      `topic::${toAnkiTag(getTopicTitle(getPrimaryTopic(qid)))}`,
+      wrongCounts[qid] ? 'weak' : '',
+      meta.flagged ? 'flagged' : ''
+    ].filter(Boolean).join(' ');
+
+    return [toTsvField(front), toTsvField(back), tags].join('\t');
+  });
+
+  return [
+    '#separator:tab',
+    '#html:true',
+    `#deck:${deckTitle}`,
+    '#tags column:3',
+    ...rows
+  ].join('\n');
+}
+
+// ============ PRINT ============
+
+/**
+ * Build a standalone, print-friendly HTML page of a question set
+ * @param {number[]} questionIds
+ * @param {string} title - Page title
+ * @returns {string}
+ */
+export function buildPrintableHtml(questionIds, title) {
+  const { wrongCounts } = getState();
+
+  const items = questionIds.map(getQuestion).filter(Boolean).map(question => {
+    const qid = question.number;
+    const meta = getQuestionMeta(qid);
+    const level = getCard(qid).level;
+
+    const answers = Object.entries(question.answers).map(([letter, text]) => `
+      <li class="${question.correct.includes(letter) ? 'correct' : ''}">
+        <strong>${escapeHtml(letter)}.</strong> ${escapeHtml(text)} ${question.correct.includes(letter) ? '✅' : ''}
+      </li>
+    `).join('');
+
+    return `
+      <section class="question">
+        <h2>Q${qid} <small>${escapeHtml(getTopicTitle(getPrimaryTopic(qid)))} • ❌ ${wrongCounts[qid] || 0} • SR ${level}/${SPACED_REP_CONFIG.MAX_LEVEL}${meta.flagged ? ' • 🚩' : ''}</small></h2>
+        <p>${escapeHtml(question.question)}</p>
+        <ul>${answers}</ul>
+        ${question.explanation ? `<p class="explanation">💡 ${escapeHtml(question.explanation)}</p>` : ''}
+        ${meta.note?.trim() ? `<p class="note">📝 ${escapeHtml(meta.note)}</p>` : ''}
+      </section>
+    `;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="bg">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 800px; margin: 24px auto; padding: 0 16px; color: #222; }
+    h1 { font-size: 22px; }
+    h2 { font-size: 16px; margin: 0 0 6px; }
+    h2 small { font-weight: normal; color: #666; }
+    .question { border-bottom: 1px solid #ddd; padding: 12px 0; break-inside: avoid; }
+    ul { list-style: none; padding: 0; }
+    li { padding: 3px 6px; }
+    li.correct { background: #e6f4ea; border-left: 3px solid #28a745; }
+    .explanation { color: #444; }
+    .note { white-space: pre-wrap; border-left: 3px solid #007bff; padding-left: 8px; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()">🖨️ Печат</button>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${new Date().toLocaleDateString('bg-BG')} • ${questionIds.length} въпроса</p>
+  ${items}
+</body>
+</html>`;
+}
@@ -0,0 +1,434 @@
+/**
+ * Question Importer Module
+ * Внос на въпроси от CSV, Markdown и GIFT
+ */
+
+import { getState } from './state.js';
+import { validateQuestions, normalizeText } from './validator.js';
+
+/**
+ * @typedef {Object} ImportPreview
+ * @property {'csv'|'markdown'|'gift'|'json'} format - Parsed format
+ * @property {Object[]} questions - Valid questions, numbered from 1
+ * @property {import('./validator.js').ValidationProblem[]} problems - Parse and validation problems
+ * @property {Object.<number, number>} duplicates - Index in `questions` → existing question ID
+ */
+
+/** Supported formats in the order they are offered */
+export const IMPORT_FORMATS = ['csv', 'markdown', 'gift', 'json'];
+
+const LETTERS = 'ABCDEF';
+
+/**
+ * Guess the format from the file name, then from the content
+ * @param {string} text - File content
+ * @param {string} [fileName] - Original file name
+ * @returns {'csv'|'markdown'|'gift'|'json'}
+ */
+export function detectFormat(text, fileName = '') {
+  const ext = fileName.toLowerCase().split('.').pop();
+  if (ext === 'csv' || ext === 'tsv') return 'csv';
+  if (ext === 'md' || ext === 'markdown') return 'markdown';
+  if (ext === 'gift') return 'gift';
+  if (ext === 'json') return 'json';
+
+  const trimmed = text.trim();
+  if (/^[[{]/.test(trimmed)) return 'json';
+  if (/^#{3}\s/m.test(trimmed)) return 'markdown';
+  if (/\{[^}]*[=~][^}]*\}/.test(trimmed)) return 'gift';
+  return 'csv';
+}
+
+/**
+ * Read correct letters from "A", "A,C", "AC" or "a; c"
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseLetters(value) {
+  return [...new Set(String(value || '').toUpperCase().match(/[A-F]/g) || [])];
+}
+
+// ============ CSV ============
+
+/**
+ * Pick the delimiter used in the first line (spreadsheets often export ";")
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  return [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Split CSV text into rows (quoted fields may contain delimiters and newlines)
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && !field) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * Parse CSV with columns question, A..F, correct (header row optional)
+ * @param {string} text
+ * @returns {{questions: Object[], errors: Array<{index: number, message: string}>}}
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''), detectDelimiter(text));
+  const questions = [];
+  const errors = [];
+
+  // Header names map columns; without a header: question, answers..., correct
+  const header = rows[0]?.map(cell => cell.trim().toLowerCase());
+  const hasHeader = ['question', 'въпрос'].includes(header?.[0]);
+  const column = names => header.findIndex(cell => names.includes(cell));
+
+  rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+    const cells = row.map(cell => cell.trim());
+    const answers = {};
+    let question, correct, explanation;
+
+    if (hasHeader) {
+      question = cells[column(['question', 'въпрос'])];
+      correct = cells[column(['correct', 'answer', 'верен', 'верни'])];
+      explanation = cells[column(['explanation', 'обяснение'])];
+      [...LETTERS].forEach(letter => {
+        const text = cells[column([letter.toLowerCase()])];
+        if (text) answers[letter] = text;
+      });
+    } else {
+      if (cells.length < 4) {
+        errors.push({ index, message: 'редът има по-малко от 4 колони' });
+        return;
+      }
+      question = cells[0];
+      correct = cells[cells.length - 1];
+      // Letters follow the column, so an empty cell doesn't shift the ones after it
+      cells.slice(1, -1).slice(0, LETTERS.length).forEach((text, i) => {
+        if (text) answers[LETTERS[i]] = text;
+      });
+    }
+
+    questions.push({
+      question: question || '',
+      answers,
+      correct: parseLetters(correct),
+      ...(explanation ? { explanation } : {})
+    });
+  });
+
+  return { questions, errors };
+}
+
+// ============ MARKDOWN ============
+
+/**
+ * Parse the Markdown convention:
+ * "### Q" heading, question text, "- [x]" / "- [ ]" answers, "> " explanation
+ * @param {string} text
+ * @returns {{questions: Object[], errors: Array<{index: number, message: string}>}}
+ */
+function parseMarkdown(text) {
+  const blocks = text.split(/^#{3}\s*/m).slice(1);
+  const questions = [];
+  const errors = [];
+
+  blocks.forEach((block, index) => {
+    const [heading, ...lines] = block.split(/\r?\n/);
+    const questionLines = [heading.replace(/^Q\d*[.):]?\s*/i, '')];
+    const explanationLines = [];
+    const answers = {};
+    const correct = [];
+
+    lines.forEach(line => {
+      const answer = line.match(/^\s*[-*]\s*\[([ xX])\]\s*(.*)$/);
+      const quote = line.match(/^\s*>\s?(.*)$/);
+
+      if (answer) {
+        const letter = LETTERS[Object.keys(answers).length];
+        if (!letter) return;
+        answers[letter] = answer[2].replace(/^[A-F][.)]\s+/, '').trim();
+        if (answer[1] !== ' ') correct.push(letter);
+      } else if (quote) {
+        explanationLines.push(quote[1]);
+      } else if (!Object.keys(answers).length) {
+        questionLines.push(line);
+      }
+    });
+
+    if (!Object.keys(answers).length) {
+      errors.push({ index, message: 'няма отговори "- [ ]"' });
+      return;
+    }
+
+    const explanation = explanationLines.join('\n').trim();
+    questions.push({
+      question: questionLines.join('\n').trim(),
+      answers,
+      correct,
+      ...(explanation ? { explanation } : {})
+    });
+  });
+
+  return { questions, errors };
+}
+
+// ============ GIFT ============
+
+/**
+ * Find the first unescaped occurrence of a character sequence
+ * @param {string} text
+ * @param {string} token
+ * @param {number} [from]
+ * @returns {number} - Index or -1
+ */
+function indexOfUnescaped(text, token, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Remove GIFT escapes and format markers
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeGift(text) {
+  return text
+    .replace(/^\s*\[(?:html|markdown|plain|moodle)\]/i, '')
+    .replace(/\\n/g, '\n')
+    .replace(/\\(.)/g, '$1')
+    .trim();
+}
+
+/**
+ * Split a GIFT answer block into "=" / "~" options
+ * @param {string} body - Text between the braces (without general feedback)
+ * @returns {Array<{mark: string, text: string}>}
+ */
+function splitGiftOptions(body) {
+  const options = [];
+  let current = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\') {
+      if (current) current.text += body.slice(i, i + 2);
+      i++;
+    } else if (ch === '=' || ch === '~') {
+      current = { mark: ch, text: '' };
+      options.push(current);
+    } else if (current) {
+      current.text += ch;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse Moodle GIFT multiple-choice and true/false questions
+ * @param {string} text
+ * @returns {{questions: Object[], errors: Array<{index: number, message: string}>}}
+ */
+function parseGift(text) {
+  const blocks = text
+    .split(/\r?\n/)
+    .filter(line => !/^\s*\/\//.test(line) && !/^\s*\$CATEGORY:/i.test(line))
+    .join('\n')
+    .split(/\n\s*\n/)
+    .filter(block => block.trim());
+  const questions = [];
+  const errors = [];
+
+  blocks.forEach((block, index) => {
+    const open = indexOfUnescaped(block, '{');
+    const close = open === -1 ? -1 : indexOfUnescaped(block, '}', open);
+    if (close === -1) {
+      errors.push({ index, message: 'липсва блок с отговори {...}' });
+      return;
+    }
+
+    // "::Title::" is optional and not part of the question
+    const questionText = unescapeGift(
+      (block.slice(0, open) + ' ' + block.slice(close + 1)).replace(/^\s*::.*?::/s, '')
+    );
+
+    let body = block.slice(open + 1, close);
+    let explanation = '';
+    const generalFeedback = indexOfUnescaped(body, '####');
+    if (generalFeedback !== -1) {
+      explanation = unescapeGift(body.slice(generalFeedback + 4));
+      body = body.slice(0, generalFeedback);
+    }
+
+    const trueFalse = body.trim().toUpperCase();
+    if (['T', 'TRUE', 'F', 'FALSE'].includes(trueFalse)) {
+      questions.push({
+        question: questionText,
+        answers: { A: 'True', B: 'False' },
+        correct: [trueFalse.startsWith('T') ? 'A' : 'B'],
+        ...(explanation ? { explanation } : {})
+      });
+      return;
+    }
+
+    const options = splitGiftOptions(body);
+    if (!options.some(o => o.mark === '~') || options.some(o => o.text.includes('->'))) {
+      errors.push({ index, message: 'не е въпрос с избор на отговор' });
+      return;
+    }
+
+    const answers = {};
+    const correct = [];
+    const rationale = {};
+
+    options.slice(0, LETTERS.length).forEach((option, i) => {
+      const letter = LETTERS[i];
+      let optionText = option.text;
+
+      // "~%50%" partial weights: any positive weight counts as correct
+      const weight = optionText.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      if (weight) optionText = optionText.slice(weight[0].length);
+
+      const feedback = indexOfUnescaped(optionText, '#');
+      if (feedback !== -1) {
+        const note = unescapeGift(optionText.slice(feedback + 1));
+        if (note) rationale[letter] = note;
+        optionText = optionText.slice(0, feedback);
+      }
+
+      answers[letter] = unescapeGift(optionText);
+      if (option.mark === '=' || (weight && Number(weight[1]) > 0)) correct.push(letter);
+    });
+
+    questions.push({
+      question: questionText,
+      answers,
+      correct,
+      ...(explanation ? { explanation } : {}),
+      ...(Object.keys(rationale).length ? { rationale } : {})
+    });
+  });
+
+  return { questions, errors };
+}
+
+// ============ JSON ============
+
+/**
+ * Parse our own bank shape ({questions: [...]} or a bare array)
+ * @param {string} text
+ * @returns {{questions: Object[], errors: Array<{index: number, message: string}>}}
+ */
+function parseJson(text) {
+  try {
+    const data = JSON.parse(text);
+    const questions = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(questions)) {
+      return { questions: [], errors: [{ index: -1, message: '"questions" не е масив' }] };
+    }
+    return { questions, errors: [] };
+  } catch (error) {
+    return { questions: [], errors: [{ index: -1, message: `невалиден JSON: ${error.message}` }] };
+  }
+}
+
+// ============ PREVIEW ============
+
+const PARSERS = {
+  csv: parseCsv,
+  markdown: parseMarkdown,
+  gift: parseGift,
+  json: parseJson
+};
+
+/**
+ * Renumber questions consecutively
+ * @param {Object[]} questions
+ * @param {number} start - First number
+ * @returns {Object[]}
+ */
+export function numberQuestions(questions, start) {
+  return questions.map((q, i) => ({ ...q, number: start + i }));
+}
+
+/**
+ * Parse, validate and check imported questions for duplicates
+ * @param {string} text - File content
+ * @param {'csv'|'markdown'|'gift'|'json'} format
+ * @returns {ImportPreview}
+ */
+export function buildImportPreview(text, format) {
+  const { questions, errors } = PARSERS[format](text);
+
+  const problems = errors.map(e => ({
+    index: e.index,
+    number: null,
+    severity: 'error',
+    message: e.message
+  }));
+
+  const { valid, problems: validation } = validateQuestions(numberQuestions(questions, 1));
+  problems.push(...validation);
+
+  // Same normalized text as a question already in the active deck
+  const existing = new Map(
+    Object.values(getState().questions).map(q => [normalizeText(q.question), q.number])
+  );
+  const imported = numberQuestions(valid, 1);
+  const duplicates = {};
+  imported.forEach((q, i) => {
+    const match = existing.get(normalizeText(q.question));
+    if (match !== undefined) duplicates[i] = match;
+  });
+
+  return { format, questions: imported, problems, duplicates };
+}
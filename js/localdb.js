@@ -0,0 +1,79 @@
+/**
+ * Local Database Module
+ * IndexedDB хранилище на устройството
+ */
+
+import { LOCAL_DB_CONFIG } from './config.js';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the database once (resolves null when IndexedDB is unavailable)
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  const request = indexedDB.open(LOCAL_DB_CONFIG.NAME, LOCAL_DB_CONFIG.VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(LOCAL_DB_CONFIG.STORE)) {
+      request.result.createObjectStore(LOCAL_DB_CONFIG.STORE);
+    }
+  };
+
+  // Private browsing may refuse IndexedDB - the app then runs from memory
+  dbPromise = promisify(request).catch(error => {
+    console.error('IndexedDB open error:', error);
+    return null;
+  });
+  return dbPromise;
+}
+
+/**
+ * Read a record
+ * @param {string} key
+ * @returns {Promise<*>} - Undefined if missing or unavailable
+ */
+export async function readRecord(key) {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  const store = db.transaction(LOCAL_DB_CONFIG.STORE, 'readonly').objectStore(LOCAL_DB_CONFIG.STORE);
+  return promisify(store.get(key));
+}
+
+/**
+ * Write a record
+ * @param {string} key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<boolean>} - False if IndexedDB is unavailable
+ */
+export async function writeRecord(key, value) {
+  const db = await openDatabase();
+  if (!db) return false;
+
+  const transaction = db.transaction(LOCAL_DB_CONFIG.STORE, 'readwrite');
+  transaction.objectStore(LOCAL_DB_CONFIG.STORE).put(value, key);
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
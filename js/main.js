@@ -3,7 +3,7 @@
  * Инициализация и свързване на всички модули
  */
 
-import { ROUND_TYPES, DELAYS, MESSAGES, MODES } from './config.js';
+import { ROUND_TYPES, DELAYS, MESSAGES, MODES, TOPIC_CONFIG, EXAM_CONFIG, SESSION_CONFIG, BROWSER_CONFIG, PROFILE_CONFIG } from './config.js';
 import * as state from './state.js';
 import * as storage from './storage.js';
 import * as timer from './timer.js';
@@ -11,7 +11,19 @@ import * as quiz from './quiz.js';
 import * as stats from './stats.js';
 import * as ui from './ui.js';
 import * as smart from './smart.js';
-import { $, shuffle, confirmAction, showAlert, copyToClipboard } from './utils.js';
+import * as decks from './decks.js';
+import * as validator from './validator.js';
+import * as topics from './topics.js';
+import * as builder from './builder.js';
+import * as editor from './editor.js';
+import * as disputes from './disputes.js';
+import * as importer from './importer.js';
+import * as exporter from './exporter.js';
+import * as backup from './backup.js';
+import * as runtimeConfig from './runtime-config.js';
+import { renderQrSvg } from './qrcode.js';
+import { isBackendConfigured } from './backend.js';
+import { $, shuffle, debounce, generateId, confirmAction, showAlert, copyToClipboard, downloadFile, promptInput } from './utils.js';
 
 // ============ INITIALIZATION ============
 
@@ -21,32 +33,76 @@ async function init() {
     navigator.serviceWorker.register('./service-worker.js').catch(() => { });
   }
 
+  // Deployment config (backend, credentials, decks) before anything uses it
+  await runtimeConfig.loadRuntimeConfig();
+
+  // Opened from a pairing QR code: drop the key from the address bar and history
+  const pairing = storage.readPairingLink(location.hash);
+  if (pairing) history.replaceState(null, '', location.pathname + location.search);
+
   // Initialize dark mode
   if (storage.isDarkMode()) {
     ui.setDarkModeUI(true);
   }
 
-  // Load questions
+  // Load deck registry (plus decks imported on this device) and the chosen deck
+  state.setCustomDecks(storage.loadLocalCustomDecks());
+  await decks.loadDeckRegistry();
+  decks.setCustomDecks(state.getCustomDecks());
+  const deck = decks.getPreferredDeck();
+  state.switchDeck(deck.id);
+  ui.renderDeckPicker(decks.getDecks(), deck.id);
+
+  // Unfinished session saved on this device (cloud copy may replace it later)
+  state.setActiveSession(storage.loadLocalSession());
+
+  // All data saved on this device - works without the cloud
+  await storage.initLocalStore();
+
+  // Load questions (other decks stay selectable if this one fails)
+  await loadDeck(deck);
+  refreshResumeBanner();
+
+  // Initialize cloud sync
+  setTimeout(async () => {
+    await storage.initCloud(onCloudDataChange);
+    refreshCustomDecks();
+    watchDisputes();
+    if (pairing) await connectWithPreview(pairing.syncId, { key: pairing.key });
+  }, DELAYS.FIREBASE_INIT);
+
+  // Set up event listeners
+  setupEventListeners();
+}
+
+/**
+ * Load questions of a deck and apply its exam settings
+ * @param {Object} deck - Deck info from the registry
+ * @returns {Promise<boolean>}
+ */
+async function loadDeck(deck) {
+  decks.applyDeckSettings(deck);
+  ui.showLoadingStatus();
+
   try {
-    const response = await fetch('./agentforce_questions.json');
-    if (!response.ok) throw new Error('Failed to load questions');
+    const questions = await decks.fetchDeckQuestions(deck);
+    const { valid, problems } = validator.validateQuestions(questions);
+    if (!valid.length) throw new Error('No valid questions');
 
-    const data = await response.json();
-    state.loadQuestions(data.questions);
+    state.loadQuestions(valid);
     ui.updateLoadStatus(state.getState().allQuestionIds.length, true);
+    refreshBuilder();
+    refreshToday();
+    ui.renderLoadReport(problems, () => {
+      downloadFile(`${deck.id}-validation.txt`, validator.formatReport(problems, deck.path || deck.title));
+    });
+    return true;
   } catch (error) {
     console.error('Error loading questions:', error);
     ui.updateLoadStatus(0, false);
-    return;
+    ui.renderLoadReport([], null);
+    return false;
   }
-
-  // Initialize Firebase sync
-  setTimeout(() => {
-    storage.initFirebase(onCloudDataChange);
-  }, DELAYS.FIREBASE_INIT);
-
-  // Set up event listeners
-  setupEventListeners();
 }
 
 /**
@@ -60,10 +116,29 @@ function onCloudDataChange() {
     ui.renderExamButtons();
   }
 
+  // Decks imported on another device
+  refreshCustomDecks();
+
+  // Presets and counts may have changed on another device
+  ui.renderPresetOptions(state.getSessionPresets(), $('builderPresetSelect').value);
+  updateBuilderCount();
+
+  // An unfinished session may have been started on another device
+  refreshResumeBanner();
+  refreshToday();
+
   // Update stats panel if visible
   if (!$('statsPanel').classList.contains('hidden')) {
     stats.updateStatsPanel();
   }
+
+  // Synced overrides replace local ones - re-apply resolved disputes
+  applyDisputeResolutions();
+
+  // Flags and notes may have changed on another device
+  if (!$('browserPanel').classList.contains('hidden')) {
+    refreshBrowser(browserLimit);
+  }
 }
 
 // ============ EVENT LISTENERS ============
@@ -75,10 +150,33 @@ function setupEventListeners() {
     storage.setDarkMode(isDark);
   };
 
+  // Write unsaved changes before the page goes away
+  window.addEventListener('pagehide', storage.flushLocal);
+
+  // Deck selection
+  $('deckSelect').onchange = (e) => switchDeck(e.target.value);
+
+  // Resume unfinished session
+  $('resumeBtn').onclick = resumeSession;
+  $('discardSessionBtn').onclick = discardSession;
+
+  // Today view
+  $('todayPanel').onchange = updateTodayLimits;
+  $('todayStartBtn').onclick = startTodaySession;
+
+  // Capture the latest timer state when the page is hidden or closed,
+  // refresh due counts when it comes back
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') persistSession();
+    else refreshToday();
+  });
+  window.addEventListener('pagehide', persistSession);
+
   // Mode selection
   $('learningModeBtn').onclick = () => selectMode(MODES.LEARNING);
   $('examModeBtn').onclick = () => selectMode(MODES.EXAM);
   $('smartModeBtn').onclick = () => selectMode(MODES.SMART);
+  $('mockModeBtn').onclick = () => selectMode(MODES.MOCK);
 
   // Exam selection
   $('examButtons').onclick = (e) => {
@@ -96,12 +194,66 @@ function setupEventListeners() {
   // Start exam
   $('startBtn').onclick = startExam;
 
+  // Session builder
+  $('builderPanel').oninput = updateBuilderCount;
+  $('builderPanel').onchange = updateBuilderCount;
+  $('builderPresetSelect').onchange = loadPreset;
+  $('savePresetBtn').onclick = savePreset;
+  $('deletePresetBtn').onclick = deletePreset;
+  $('builderStartBtn').onclick = startCustomSession;
+
+  // Question browser
+  $('browserBtn').onclick = openBrowser;
+  $('closeBrowserBtn').onclick = ui.hideBrowserPanel;
+  $('browserSearch').oninput = debounce(() => refreshBrowser(), DELAYS.BROWSER_SEARCH);
+  $('browserPanel').onchange = () => refreshBrowser();
+  $('browserMoreBtn').onclick = () => refreshBrowser(browserLimit + BROWSER_CONFIG.PAGE_SIZE);
+  $('browserStartBtn').onclick = startBrowserSession;
+  $('browserPrintBtn').onclick = () => openPrintView(browserResults, MESSAGES.BG.EXPORT_BROWSER_TITLE);
+  $('browserList').addEventListener('click', openQuestionDetailFromLink);
+  $('browserList').addEventListener('click', (e) => {
+    const link = e.target.closest('[data-edit-qid]');
+    if (link) openEditor(Number(link.dataset.editQid));
+  });
+
+  // Import
+  $('importBtn').onclick = openImport;
+  $('closeImport').onclick = closeImport;
+  $('importModal').onclick = (e) => {
+    if (e.target === $('importModal')) closeImport();
+  };
+  $('importFile').onchange = previewImport;
+  $('importPreviewBtn').onclick = previewImport;
+  $('importModal').addEventListener('change', updateImportCount);
+  $('importConfirmBtn').onclick = confirmImport;
+
+  // Question editor
+  $('newQuestionBtn').onclick = () => openEditor(null);
+  $('exportPatchedBtn').onclick = exportPatchedBank;
+  $('exportDiffBtn').onclick = exportOverridesDiff;
+  $('editorAddAnswerBtn').onclick = () => ui.addEditorAnswerRow();
+  $('editorSaveBtn').onclick = saveEditor;
+  $('editorRetireBtn').onclick = toggleEditorRetired;
+  $('editorRevertBtn').onclick = revertEditor;
+  $('closeEditor').onclick = closeEditor;
+  $('editorModal').onclick = (e) => {
+    if (e.target === $('editorModal')) closeEditor();
+  };
+
   // Exit exam
   $('exitBtn').onclick = exitExam;
 
   // Navigation
   $('nextBtn').onclick = handleNext;
   $('backBtn').onclick = handleBack;
+  $('navigatorGrid').onclick = (e) => {
+    const btn = e.target.closest('[data-index]');
+    if (btn) jumpToQuestion(Number(btn.dataset.index));
+  };
+
+  // Mark for review & submit (exam mode)
+  $('markBtn').onclick = handleMark;
+  $('submitExamBtn').onclick = openReviewScreen;
 
   // Answer selection
   $('answers').onchange = handleAnswerChange;
@@ -115,6 +267,16 @@ function setupEventListeners() {
   // Flag button
   $('flagBtn').onclick = handleFlag;
 
+  // Disputes
+  $('disputeBtn').onclick = openDisputeModal;
+  $('disputeSubmitBtn').onclick = submitDispute;
+  $('disputeWithdrawBtn').onclick = withdrawDispute;
+  $('disputeResolveBtn').onclick = resolveDispute;
+  $('closeDispute').onclick = closeDisputeModal;
+  $('disputeModal').onclick = (e) => {
+    if (e.target === $('disputeModal')) closeDisputeModal();
+  };
+
   // Notes
   $('saveNoteBtn').onclick = handleSaveNote;
 
@@ -128,6 +290,34 @@ function setupEventListeners() {
   $('resetAllBtn').onclick = resetAll;
   $('reviewWeakBtn').onclick = reviewWeakPoints;
   $('reviewFlaggedBtn').onclick = reviewFlaggedQuestions;
+  $('reviewCalibrationBtn').onclick = reviewOverconfidentErrors;
+  $('exportHistoryCsvBtn').onclick = exportHistoryCsv;
+  $('exportQuestionStatsCsvBtn').onclick = exportQuestionStatsCsv;
+  $('exportAnkiBtn').onclick = exportAnkiDeck;
+  $('exportPrintBtn').onclick = () => {
+    const { ids, title } = getExportSelection();
+    openPrintView(ids, title);
+  };
+  $('topicBreakdownList').onclick = (e) => {
+    const btn = e.target.closest('[data-topic]');
+    if (btn) practiceTopic(btn.dataset.topic);
+  };
+
+  // Question detail (Q-links in stats lists and exam details)
+  $('statsPanel').addEventListener('click', openQuestionDetailFromLink);
+  $('examDetailsBody').addEventListener('click', openQuestionDetailFromLink);
+  $('closeQuestionDetail').onclick = () => {
+    $('questionDetailModal').classList.remove('show');
+  };
+  $('questionDetailModal').onclick = (e) => {
+    if (e.target === $('questionDetailModal')) {
+      $('questionDetailModal').classList.remove('show');
+    }
+  };
+  $('questionDetailBody').onclick = (e) => {
+    if (e.target.closest('#detailFlagBtn')) toggleDetailFlag();
+    if (e.target.closest('#detailEditBtn')) openEditor(Number($('questionDetailBody').dataset.qid));
+  };
 
   // Exam details modal
   $('closeExamDetails').onclick = () => {
@@ -142,6 +332,10 @@ function setupEventListeners() {
   // Sync modal
   $('syncBtn').onclick = () => {
     $('currentSyncId').value = storage.getCurrentSyncId() || '';
+    ui.renderProfileSecurity(storage.isProfileProtected());
+    ui.renderPairingQr(null);
+    ui.renderSyncSettings(isBackendConfigured());
+    $('settingsMaintainerKey').value = storage.getMaintainerKey()?.publicKey || '';
     ui.showSyncModal();
   };
   $('closeSyncModal').onclick = ui.hideSyncModal;
@@ -150,7 +344,29 @@ function setupEventListeners() {
   };
   $('copySyncIdBtn').onclick = copySyncId;
   $('connectSyncBtn').onclick = connectToSync;
+  $('protectProfileBtn').onclick = protectProfile;
+  $('pairQrBtn').onclick = showPairingQr;
+  $('downloadBackupBtn').onclick = downloadBackup;
+  $('backupFile').onchange = previewBackup;
+  $('restoreBackupBtn').onclick = restoreBackup;
   $('resetSyncBtn').onclick = resetSyncProfile;
+  $('saveSettingsBtn').onclick = saveSyncSettings;
+  $('resetSettingsBtn').onclick = resetSyncSettings;
+  $('maintainerKeyBtn').onclick = createMaintainerKey;
+}
+
+// ============ DECK SELECTION ============
+
+async function switchDeck(deckId) {
+  const deck = decks.getDeck(deckId);
+  if (!deck || deck.id === state.getActiveDeckId()) return;
+
+  decks.setPreferredDeck(deck.id);
+  state.switchDeck(deck.id);
+  ui.resetSetupPanel();
+  await loadDeck(deck);
+  refreshResumeBanner();
+  watchDisputes();
 }
 
 // ============ MODE & EXAM SELECTION ============
@@ -163,6 +379,9 @@ function selectMode(mode) {
     // Update smart stats
     const smartStats = smart.getSmartStats();
     ui.updateSmartStats(smartStats);
+  } else if (mode === MODES.MOCK) {
+    // Mock exams are drawn fresh on start
+    state.setSelectedExamIndex(null);
   } else {
     loadOrGenerateExams();
   }
@@ -194,8 +413,572 @@ function reshuffleExams() {
   ui.renderExamButtons();
 }
 
+// ============ TODAY ============
+
+/**
+ * Re-render the "Today" view and due badges
+ */
+function refreshToday() {
+  if (!state.getState().allQuestionIds.length) return;
+
+  const summary = smart.getTodaySummary();
+  ui.renderTodayPanel(summary, state.getStudySettings());
+  ui.updateDueBadge(summary.due);
+}
+
+function updateTodayLimits(e) {
+  if (e.target.type !== 'number') return;
+
+  state.setStudySettings(ui.readTodayLimits());
+  storage.saveAll();
+  refreshToday();
+}
+
+function startTodaySession() {
+  const questions = smart.generateSmartQueue(smart.getTodaySummary().total);
+  if (!questions.length) {
+    showAlert(MESSAGES.BG.NOTHING_DUE);
+    return;
+  }
+
+  selectMode(MODES.SMART);
+  launchRound(ROUND_TYPES.BASE, questions);
+}
+
+// ============ SESSION BUILDER ============
+
+/**
+ * Re-render builder topics and presets for the loaded deck
+ */
+function refreshBuilder() {
+  const s = state.getState();
+  const topicList = [...topics.groupByTopic(s.allQuestionIds).keys()]
+    .map(id => ({ id, title: topics.getTopicTitle(id) }));
+
+  ui.renderBuilderTopics(topicList);
+  ui.renderBrowserTopics(topicList);
+  ui.renderPresetOptions(state.getSessionPresets());
+  ui.fillBuilderForm(builder.DEFAULT_FILTERS);
+  updateBuilderCount();
+}
+
+function updateBuilderCount() {
+  const filters = ui.readBuilderFilters();
+  ui.updateBuilderCount(builder.filterQuestions(filters).length, filters.size);
+}
+
+function loadPreset() {
+  const preset = state.getSessionPresets().find(p => p.id === $('builderPresetSelect').value);
+  ui.fillBuilderForm({ ...builder.DEFAULT_FILTERS, ...preset?.filters });
+  updateBuilderCount();
+}
+
+function savePreset() {
+  const current = state.getSessionPresets().find(p => p.id === $('builderPresetSelect').value);
+  const name = promptInput(MESSAGES.BG.PRESET_NAME, current?.name || '')?.trim();
+  if (!name) return;
+
+  const id = state.saveSessionPreset(name, ui.readBuilderFilters());
+  storage.saveAll();
+  ui.renderPresetOptions(state.getSessionPresets(), id);
+}
+
+function deletePreset() {
+  const preset = state.getSessionPresets().find(p => p.id === $('builderPresetSelect').value);
+  if (!preset) return;
+  if (!confirmAction(MESSAGES.BG.CONFIRM_DELETE_PRESET(preset.name))) return;
+
+  state.deleteSessionPreset(preset.id);
+  storage.saveAll();
+  ui.renderPresetOptions(state.getSessionPresets());
+}
+
+function startCustomSession() {
+  const filters = ui.readBuilderFilters();
+  const questions = builder.buildSession(filters);
+
+  if (!questions.length) {
+    showAlert(MESSAGES.BG.NO_MATCHING_QUESTIONS);
+    return;
+  }
+
+  // Runs as a base round outside the pre-sliced exams
+  selectMode(filters.mode);
+  state.setSelectedExamIndex(null);
+  launchRound(ROUND_TYPES.BASE, questions);
+}
+
+// ============ QUESTION BROWSER ============
+
+let browserResults = [];
+let browserLimit = BROWSER_CONFIG.PAGE_SIZE;
+
+function openBrowser() {
+  ui.hideStatsPanel();
+  ui.showBrowserPanel();
+  refreshBrowser();
+  $('browserSearch').focus();
+}
+
+/**
+ * Re-run the browser search and render the matches
+ * @param {number} [limit] - How many matches to show (resets paging by default)
+ */
+function refreshBrowser(limit = BROWSER_CONFIG.PAGE_SIZE) {
+  const filters = ui.readBrowserFilters();
+  let matched = filters.retired
+    ? state.getRetiredQuestionIds()
+    : builder.filterQuestions(filters);
+  if (filters.disputed) matched = matched.filter(disputes.hasOpenDispute);
+
+  browserResults = builder.orderQuestions(matched, filters.order);
+  browserLimit = limit;
+  ui.renderBrowserList(browserResults, browserLimit);
+  ui.renderOverridesSummary(editor.getOverrideSummary());
+}
+
+function startBrowserSession() {
+  if (!browserResults.length) return;
+
+  // Runs the current matches in their listed order as a base round
+  ui.hideBrowserPanel();
+  selectMode(ui.readBrowserFilters().mode);
+  state.setSelectedExamIndex(null);
+  launchRound(ROUND_TYPES.BASE, browserResults);
+}
+
+// ============ QUESTION EDITOR ============
+
+/**
+ * Open the editor for a question
+ * @param {number|null} qid - Question ID, null for a new question
+ */
+function openEditor(qid) {
+  const draft = editor.getEditorDraft(qid);
+
+  ui.renderQuestionEditor(draft, {
+    isNew: !state.getQuestion(draft.number),
+    retired: !!state.getQuestion(draft.number)?.retired,
+    overridden: editor.isOverridden(draft.number)
+  });
+  $('editorModal').classList.add('show');
+  $('editorQuestion').focus();
+}
+
+function closeEditor() {
+  $('editorModal').classList.remove('show');
+}
+
+function saveEditor() {
+  const { ok, errors } = editor.saveQuestionEdit(ui.readQuestionEditor());
+  if (!ok) {
+    ui.renderEditorErrors(errors);
+    return;
+  }
+
+  closeEditor();
+  onQuestionsEdited();
+}
+
+function toggleEditorRetired() {
+  const qid = Number($('editorModal').dataset.qid);
+  editor.setQuestionRetired(qid, !state.getQuestion(qid)?.retired);
+  closeEditor();
+  onQuestionsEdited();
+}
+
+function revertEditor() {
+  if (!confirmAction(MESSAGES.BG.CONFIRM_REVERT_QUESTION)) return;
+
+  editor.revertQuestion(Number($('editorModal').dataset.qid));
+  closeEditor();
+  onQuestionsEdited();
+}
+
+/**
+ * Save and re-render everything that shows question content or counts
+ */
+function onQuestionsEdited() {
+  storage.saveAll();
+  updateBuilderCount();
+  refreshToday();
+
+  if (!$('browserPanel').classList.contains('hidden')) {
+    refreshBrowser(browserLimit);
+  }
+
+  // Edited from the question detail modal, or the question was removed
+  if ($('questionDetailModal').classList.contains('show')
+    && !stats.renderQuestionDetail(Number($('questionDetailBody').dataset.qid))) {
+    $('questionDetailModal').classList.remove('show');
+  }
+}
+
+function exportPatchedBank() {
+  const deckId = state.getActiveDeckId();
+  downloadFile(`${deckId}-patched.json`, JSON.stringify(editor.buildPatchedBank(), null, 2), 'application/json');
+}
+
+function exportOverridesDiff() {
+  const deckId = state.getActiveDeckId();
+  const source = decks.getDeck(deckId)?.path || deckId;
+  downloadFile(`${deckId}-changes.txt`, editor.formatOverridesDiff(source));
+}
+
+// ============ EXPORT ============
+
+/**
+ * Read the question set chosen in the stats export section
+ * @returns {{ids: number[], title: string, set: string}}
+ */
+function getExportSelection() {
+  const set = $('exportSet').value;
+  const limit = Math.max(1, parseInt($('exportLimit').value, 10) || 40);
+  return {
+    set,
+    ids: exporter.getQuestionSet(set, limit),
+    title: MESSAGES.BG.EXPORT_SET_TITLES[set]
+  };
+}
+
+function getDeckTitle() {
+  return decks.getDeck(state.getActiveDeckId())?.title || state.getActiveDeckId();
+}
+
+function exportHistoryCsv() {
+  downloadFile(`${state.getActiveDeckId()}-history.csv`, exporter.buildHistoryCsv(), 'text/csv');
+}
+
+function exportQuestionStatsCsv() {
+  downloadFile(`${state.getActiveDeckId()}-questions.csv`, exporter.buildQuestionStatsCsv(), 'text/csv');
+}
+
+function exportAnkiDeck() {
+  const { ids, set } = getExportSelection();
+  if (!ids.length) {
+    showAlert(MESSAGES.BG.NOTHING_TO_EXPORT);
+    return;
+  }
+
+  downloadFile(`${state.getActiveDeckId()}-${set}-anki.txt`, exporter.buildAnkiTsv(ids, getDeckTitle()));
+}
+
+/**
+ * Open a print-friendly page of questions in a new tab
+ * @param {number[]} questionIds
+ * @param {string} title - Set title
+ */
+function openPrintView(questionIds, title) {
+  if (!questionIds.length) {
+    showAlert(MESSAGES.BG.NOTHING_TO_EXPORT);
+    return;
+  }
+
+  const html = exporter.buildPrintableHtml(questionIds, `${getDeckTitle()} — ${title}`);
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+
+  // Fall back to a download when pop-ups are blocked
+  if (!window.open(url, '_blank')) {
+    downloadFile(`${state.getActiveDeckId()}-print.html`, html, 'text/html');
+  }
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+// ============ IMPORT ============
+
+let importPreview = null;
+
+/**
+ * Keep imported decks on this device and in the deck picker
+ */
+function refreshCustomDecks() {
+  const customDecks = state.getCustomDecks();
+  storage.saveLocalCustomDecks(customDecks);
+  decks.setCustomDecks(customDecks);
+  ui.renderDeckPicker(decks.getDecks(), state.getActiveDeckId());
+}
+
+function openImport() {
+  importPreview = null;
+  ui.resetImportForm();
+  $('importModal').classList.add('show');
+}
+
+function closeImport() {
+  $('importModal').classList.remove('show');
+}
+
+async function previewImport() {
+  const file = $('importFile').files[0];
+  const text = file ? await file.text() : $('importText').value;
+
+  if (!text.trim()) {
+    showAlert(MESSAGES.BG.IMPORT_EMPTY);
+    return;
+  }
+
+  const format = $('importFormat').value || importer.detectFormat(text, file?.name);
+  importPreview = importer.buildImportPreview(text, format);
+
+  if (file && !$('importDeckTitle').value) {
+    $('importDeckTitle').value = file.name.replace(/\.[^.]+$/, '');
+  }
+
+  ui.renderImportPreview(importPreview, decks.getDeck(state.getActiveDeckId())?.title || '');
+  updateImportCount();
+}
+
+/**
+ * Questions the import would add (duplicates only matter when merging)
+ * @returns {Object[]}
+ */
+function getImportQuestions() {
+  if (!importPreview) return [];
+
+  const { target, skipDuplicates } = ui.readImportOptions();
+  const skip = target === 'merge' && skipDuplicates;
+  return importPreview.questions.filter((q, i) => !skip || importPreview.duplicates[i] === undefined);
+}
+
+function updateImportCount() {
+  ui.updateImportCount(getImportQuestions().length);
+}
+
+async function confirmImport() {
+  const { target, title } = ui.readImportOptions();
+  const questions = getImportQuestions();
+  if (!questions.length) return;
+
+  if (target === 'merge') {
+    editor.addImportedQuestions(questions);
+    onQuestionsEdited();
+    closeImport();
+    showAlert(MESSAGES.BG.IMPORT_DONE(questions.length, decks.getDeck(state.getActiveDeckId())?.title || ''));
+    return;
+  }
+
+  if (!title) {
+    showAlert(MESSAGES.BG.IMPORT_NEED_TITLE);
+    return;
+  }
+
+  const deckId = generateId('deck');
+  state.saveCustomDeck(deckId, title, importer.numberQuestions(questions, 1));
+  storage.saveAll();
+  refreshCustomDecks();
+  closeImport();
+
+  await switchDeck(deckId);
+  showAlert(MESSAGES.BG.IMPORT_DONE(questions.length, title));
+}
+
+// ============ DISPUTES ============
+
+/**
+ * Listen to shared disputes of the active deck
+ * @returns {Promise<void>}
+ */
+async function watchDisputes() {
+  disputes.setVoterId(await storage.getVoterId());
+  disputes.setMaintainerKey(storage.getMaintainerKey());
+  const deckId = state.getActiveDeckId();
+  storage.watchDisputes(deckId, async (data) => {
+    if (!await disputes.setDisputes(deckId, data)) return;
+    applyDisputeResolutions();
+
+    if (!$('examUI').classList.contains('hidden')) ui.updateDisputeInfo();
+    if (!$('browserPanel').classList.contains('hidden')) refreshBrowser(browserLimit);
+    if ($('disputeModal').classList.contains('show')) renderDisputeModal();
+  });
+}
+
+/**
+ * Feed maintainer-accepted answer keys into the overrides layer
+ */
+function applyDisputeResolutions() {
+  if (disputes.applyResolutions()) onQuestionsEdited();
+}
+
+/**
+ * Fill the dispute modal for the question it was opened for
+ */
+function renderDisputeModal() {
+  const qid = Number($('disputeModal').dataset.qid);
+  const qState = state.getQuestionState(qid);
+
+  // Votes would give away the key before the question is answered
+  const revealed = disputes.isMaintainer()
+    || (state.hasImmediateFeedback() && !!qState?.status && qState.status !== 'unanswered');
+
+  ui.renderDisputeModal(qid, {
+    ownVote: disputes.getOwnVote(qid),
+    summary: revealed ? disputes.getDisputeSummary(qid) : null,
+    maintainer: disputes.isMaintainer()
+  });
+}
+
+function openDisputeModal() {
+  const qid = state.getCurrentQuestionId();
+  if (!qid) return;
+
+  $('disputeModal').dataset.qid = qid;
+  renderDisputeModal();
+  $('disputeModal').classList.add('show');
+}
+
+function closeDisputeModal() {
+  $('disputeModal').classList.remove('show');
+}
+
+async function submitDispute() {
+  const qid = Number($('disputeModal').dataset.qid);
+  const { answer, reason } = ui.readDisputeForm();
+
+  if (!answer.length) {
+    showAlert(MESSAGES.BG.DISPUTE_NEED_ANSWER);
+    return;
+  }
+
+  const saved = await storage.saveDisputeVote(state.getActiveDeckId(), qid, disputes.buildVote(answer, reason));
+  if (!saved) {
+    showAlert(MESSAGES.BG.DISPUTE_OFFLINE);
+    return;
+  }
+
+  closeDisputeModal();
+}
+
+async function withdrawDispute() {
+  const qid = Number($('disputeModal').dataset.qid);
+
+  if (!await storage.saveDisputeVote(state.getActiveDeckId(), qid, null)) {
+    showAlert(MESSAGES.BG.DISPUTE_OFFLINE);
+    return;
+  }
+
+  closeDisputeModal();
+}
+
+async function resolveDispute() {
+  const qid = Number($('disputeModal').dataset.qid);
+  const { answer } = ui.readDisputeForm();
+
+  if (!answer.length) {
+    showAlert(MESSAGES.BG.DISPUTE_NEED_ANSWER);
+    return;
+  }
+  if (!confirmAction(MESSAGES.BG.CONFIRM_RESOLVE_DISPUTE(answer.join(', ')))) return;
+
+  // The shared listener applies the decision to the overrides layer
+  const resolution = await disputes.buildResolution(state.getActiveDeckId(), qid, answer);
+  if (!await storage.saveDisputeResolution(state.getActiveDeckId(), qid, resolution)) {
+    showAlert(MESSAGES.BG.DISPUTE_OFFLINE);
+    return;
+  }
+
+  closeDisputeModal();
+}
+
 // ============ EXAM FLOW ============
 
+/**
+ * Start a round and switch to the exam UI
+ * @param {string} roundType - Round type
+ * @param {number[]} questionIds - Questions to include
+ * @returns {boolean} - False if there was nothing to start
+ */
+function launchRound(roundType, questionIds) {
+  if (!quiz.startRound(roundType, questionIds)) return false;
+
+  enterRound();
+  return true;
+}
+
+/**
+ * Show the current round in the exam UI and start its timers
+ * @param {number} [elapsed=0] - Exam time already used (seconds)
+ */
+function enterRound(elapsed = 0) {
+  ui.showExamUI();
+  ui.initExamUI();
+  timer.startExamTimer(finishExam, elapsed);
+  timer.resetQuestionTimer();
+  ui.renderQuestion();
+  persistSession();
+}
+
+// ============ SESSION RESUME ============
+
+/**
+ * Save the in-progress round locally (and to the cloud if enabled)
+ */
+function persistSession() {
+  if ($('examUI').classList.contains('hidden') && $('reviewScreen').classList.contains('hidden')) return;
+
+  storage.saveLocalSession(state.captureSession(timer.getExamElapsed()));
+  if (SESSION_CONFIG.SYNC) storage.saveAll();
+}
+
+/**
+ * Forget the in-progress round everywhere
+ */
+function clearSession() {
+  if (!state.getActiveSession()) return;
+
+  state.setActiveSession(null);
+  storage.clearLocalSession();
+  if (SESSION_CONFIG.SYNC) storage.saveAll();
+}
+
+/**
+ * Get the unfinished session if it can be resumed in the loaded deck
+ * @returns {Object|null}
+ */
+function getResumableSession() {
+  const session = state.getActiveSession();
+  if (!session?.stack?.length) return null;
+  if (session.deckId !== state.getActiveDeckId()) return null;
+  if (Date.now() - session.savedAt > SESSION_CONFIG.MAX_AGE_DAYS * 86400000) return null;
+
+  // Questions may have been removed from the deck since
+  if (!session.stack.every(qid => state.getQuestion(qid))) return null;
+
+  return session;
+}
+
+function refreshResumeBanner() {
+  if ($('setupPanel').classList.contains('hidden')) return;
+
+  const session = getResumableSession();
+  if (!session) {
+    ui.renderResumeBanner(null);
+    return;
+  }
+
+  const timed = session.mode !== MODES.LEARNING && session.mode !== MODES.SMART;
+  ui.renderResumeBanner({
+    label: ui.getRoundLabel(session.mode, session.roundType, session.selectedExamIndex),
+    answered: quiz.getAnsweredCount(session.questionState || {}),
+    total: session.stack.length,
+    timeLeft: timed ? Math.max(EXAM_CONFIG.TIME_LIMIT_SECONDS - (session.elapsed || 0), 0) : null
+  });
+}
+
+function resumeSession() {
+  const session = getResumableSession();
+  ui.renderResumeBanner(null);
+  if (!session) return;
+
+  state.restoreSession(session);
+  ui.updateModeUI(session.mode);
+  enterRound(session.elapsed || 0);
+}
+
+function discardSession() {
+  clearSession();
+  ui.renderResumeBanner(null);
+}
+
 function startExam() {
   const s = state.getState();
 
@@ -203,11 +986,24 @@ function startExam() {
 
   if (s.currentMode === MODES.SMART) {
     // Smart mode: generate adaptive queue
-    examQuestions = smart.generateSmartQueue(30);
-    if (!examQuestions.length) {
+    examQuestions = smart.generateSmartQueue();
+    if (!s.allQuestionIds.length) {
       showAlert('Няма заредени въпроси за Smart режим.');
       return;
     }
+    if (!examQuestions.length) {
+      showAlert(MESSAGES.BG.NOTHING_DUE);
+      return;
+    }
+  } else if (s.currentMode === MODES.MOCK) {
+    // Mock mode: fresh draw from the whole bank
+    const { weighted, avoidLast } = ui.getMockOptions();
+    state.setSelectedExamIndex(null);
+    examQuestions = quiz.drawMockExam(s.allQuestionIds, {
+      size: EXAM_CONFIG.MOCK_SIZE,
+      weighted,
+      exclude: state.getRecentMockQuestionIds(avoidLast)
+    });
   } else {
     // Learning/Exam mode: use selected exam
     if (s.selectedExamIndex === null) return;
@@ -215,75 +1011,136 @@ function startExam() {
   }
 
   if (!examQuestions || !examQuestions.length) return;
-  if (!quiz.startRound(ROUND_TYPES.BASE, examQuestions)) return;
-
-  ui.showExamUI();
-  ui.initExamUI();
-  timer.startExamTimer(finishExam);
-  timer.resetQuestionTimer();
-  ui.renderQuestion();
+  launchRound(ROUND_TYPES.BASE, examQuestions);
 }
 
 function exitExam() {
   if (!confirmAction(MESSAGES.BG.CONFIRM_EXIT)) return;
 
   timer.stopAllTimers();
+  clearSession();
   ui.showSetupPanel();
+  ui.renderResumeBanner(null);
+  refreshToday();
 
   const s = state.getState();
   if (s.currentMode === MODES.SMART) {
     ui.updateModeUI(MODES.SMART);
     const smartStats = smart.getSmartStats();
     ui.updateSmartStats(smartStats);
+  } else if (s.currentMode === MODES.MOCK) {
+    ui.updateModeUI(MODES.MOCK);
   } else {
     ui.renderExamButtons();
   }
 }
 
 function handleNext() {
-  const selected = ui.getSelectedAnswer();
-  quiz.handleNext(finishExam, ui.renderQuestion, selected);
+  const selected = ui.getSelectedAnswers();
+  quiz.handleNext(finishExam, ui.renderQuestion, selected, openReviewScreen);
+  persistSession();
 }
 
 function handleBack() {
-  quiz.handleBack(ui.renderQuestion);
+  quiz.handleBack(ui.renderQuestion, ui.getSelectedAnswers());
+  persistSession();
+}
+
+// ============ NAVIGATOR & REVIEW ============
+
+function jumpToQuestion(index) {
+  quiz.handleJump(index, ui.renderQuestion, ui.getSelectedAnswers());
+  persistSession();
+}
+
+function handleMark() {
+  if (state.hasImmediateFeedback()) return;
+
+  const marked = quiz.toggleMarkForReview();
+  $('markBtn').classList.toggle('marked', marked);
+  ui.renderNavigator();
+  persistSession();
+}
+
+function openReviewScreen() {
+  quiz.saveCurrentAnswer(ui.getSelectedAnswers());
+
+  ui.showReviewScreen();
+  ui.renderReviewScreen({
+    timeLeft: timer.getExamRemaining(),
+    onJump: returnToExam,
+    onBack: () => returnToExam(state.getState().currentIndex),
+    onSubmit: submitExam
+  });
+}
+
+function returnToExam(index) {
+  state.goToQuestion(index);
+  timer.resetQuestionTimer();
+  ui.showExamUI();
+  ui.renderQuestion();
+  persistSession();
+}
+
+function submitExam() {
+  const s = state.getState();
+  const { unanswered } = quiz.getNavigatorSummary(s.questionState, s.stack);
+  if (unanswered && !confirmAction(MESSAGES.BG.CONFIRM_SUBMIT(unanswered))) return;
+
+  finishExam();
 }
 
 function handleAnswerChange(e) {
   if (e.target?.name !== 'answer') return;
   const { dontKnow, notSure } = ui.getConfidenceValues();
-  quiz.updateDraftState(e.target.value, dontKnow, notSure);
+  quiz.updateDraftState(ui.getSelectedAnswers(), dontKnow, notSure);
+  persistSession();
 }
 
 function handleAnswerClick(e) {
   const answerDiv = e.target.closest('.answer');
   if (!answerDiv) return;
 
-  const radio = answerDiv.querySelector('input[type="radio"]');
-  if (radio && !radio.disabled) {
-    radio.checked = true;
-    const { dontKnow, notSure } = ui.getConfidenceValues();
-    quiz.updateDraftState(radio.value, dontKnow, notSure);
+  const input = answerDiv.querySelector('input[name="answer"]');
+  if (!input || input.disabled) return;
+
+  if (input.type === 'checkbox') {
+    // Clicks on the label already toggle the checkbox natively
+    if (e.target.closest('label')) return;
+    input.checked = !input.checked;
+  } else {
+    input.checked = true;
   }
+
+  const { dontKnow, notSure } = ui.getConfidenceValues();
+  quiz.updateDraftState(ui.getSelectedAnswers(), dontKnow, notSure);
+  persistSession();
 }
 
 function handleConfidenceChange() {
-  const selected = ui.getSelectedAnswer();
+  const selected = ui.getSelectedAnswers();
   const { dontKnow, notSure } = ui.getConfidenceValues();
   quiz.updateDraftState(selected, dontKnow, notSure);
+  persistSession();
 }
 
 function handleKeyboard(e) {
   if ($('examUI').classList.contains('hidden')) return;
+  if (e.target.tagName === 'TEXTAREA') return;
+
+  // Shortcuts don't apply behind an open dialog
+  if (document.querySelector('.sync-modal.show')) return;
 
   // Number keys for answer selection
   if (['1', '2', '3', '4'].includes(e.key)) {
-    const radios = document.querySelectorAll('input[name="answer"]');
+    const inputs = document.querySelectorAll('input[name="answer"]');
     const idx = parseInt(e.key) - 1;
-    if (radios[idx] && !radios[idx].disabled) {
-      radios[idx].checked = true;
+    const input = inputs[idx];
+    if (input && !input.disabled) {
+      input.checked = input.type === 'checkbox' ? !input.checked : true;
       const { dontKnow, notSure } = ui.getConfidenceValues();
-      quiz.updateDraftState(radios[idx].value, dontKnow, notSure);
+      quiz.updateDraftState(ui.getSelectedAnswers(), dontKnow, notSure);
+      persistSession();
     }
   }
 
@@ -293,6 +1150,9 @@ function handleKeyboard(e) {
 
   // F key for flag
   if (e.key === 'f' || e.key === 'F') handleFlag();
+
+  // M key to mark for review (exam mode)
+  if (e.key === 'm' || e.key === 'M') handleMark();
 }
 
 // ============ FLAG & NOTES ============
@@ -328,17 +1188,14 @@ function handleSaveNote() {
 
 function finishExam() {
   timer.stopAllTimers();
+  clearSession();
 
   const s = state.getState();
 
-  // Update spaced repetition data for smart mode
-  if (s.currentMode === MODES.SMART || s.currentMode === MODES.LEARNING) {
-    s.stack.forEach(qid => {
-      const qState = state.getQuestionState(qid);
-      if (qState && qState.status !== 'unanswered') {
-        smart.updateSpacedRepLevel(qid, qState.status === 'correct', qState.notSure);
-      }
-    });
+  // Exam rounds score their final answers (feedback rounds score as they go)
+  if (!state.hasImmediateFeedback()) {
+    quiz.recordFinalAnswers(s.stack);
+    storage.saveAll();
   }
 
   // Record detailed history
@@ -354,14 +1211,18 @@ function finishExam() {
         total: s.stack.length,
         correct: examStats.correct,
         pct: s.stack.length ? Math.round((examStats.correct / s.stack.length) * 100) : 0,
-        passed: s.stack.length ? Math.round((examStats.correct / s.stack.length) * 100) >= 72 : false
+        passed: s.stack.length ? quiz.isPassed(examStats.correct, s.stack.length) : false
       },
       questions: s.stack.map(qid => {
         const qs = state.getQuestionState(qid);
         return {
           qid,
           answer: qs?.selectedAnswer || null,
-          correct: qs?.status === 'correct'
+          correct: qs?.status === 'correct',
+          score: qs?.score ?? 0,
+          dontKnow: qs?.dontKnow || false,
+          notSure: qs?.notSure || false,
+          time: qs?.time || 0
         };
       })
     });
@@ -375,6 +1236,7 @@ function finishExam() {
     s.selectedExamIndex
   );
 
+  refreshToday();
   renderResultsScreen();
 }
 
@@ -395,6 +1257,7 @@ function renderResultsScreen() {
     onReviewWrong: () => startReview(ROUND_TYPES.REVIEW_WRONG),
     onReviewNotSure: () => startReview(ROUND_TYPES.REVIEW_NOT_SURE),
     onReviewDontKnow: () => startReview(ROUND_TYPES.REVIEW_DONT_KNOW),
+    onReviewOverconfident: () => startReview(ROUND_TYPES.REVIEW_OVERCONFIDENT),
     onBackToBase: backToBaseResults,
     onNewExam: resetToSetup,
     onViewStats: openStatsPanel
@@ -407,13 +1270,7 @@ function startReview(reviewType) {
 
   if (!questions.length) return;
 
-  if (!quiz.startRound(reviewType, questions)) return;
-
-  ui.showExamUI();
-  ui.initExamUI();
-  timer.startExamTimer(finishExam);
-  timer.resetQuestionTimer();
-  ui.renderQuestion();
+  launchRound(reviewType, questions);
 }
 
 function backToBaseResults() {
@@ -424,6 +1281,8 @@ function backToBaseResults() {
 
 function resetToSetup() {
   ui.showSetupPanel();
+  refreshResumeBanner();
+  refreshToday();
 
   const s = state.getState();
 
@@ -433,6 +1292,9 @@ function resetToSetup() {
     ui.updateModeUI(MODES.SMART);
     const smartStats = smart.getSmartStats();
     ui.updateSmartStats(smartStats);
+  } else if (s.currentMode === MODES.MOCK) {
+    // Mock mode - ready for a fresh draw
+    ui.updateModeUI(MODES.MOCK);
   } else if (s.exams.length > 0 && s.currentMode) {
     // Learning/Exam mode - show exam buttons
     ui.renderExamButtons();
@@ -447,6 +1309,7 @@ function resetToSetup() {
 // ============ STATS ============
 
 function openStatsPanel() {
+  ui.hideBrowserPanel();
   stats.updateStatsPanel(showExamDetails);
   ui.showStatsPanel();
 }
@@ -455,6 +1318,31 @@ function showExamDetails(examId) {
   stats.renderExamDetails(examId);
 }
 
+function openQuestionDetailFromLink(e) {
+  const link = e.target.closest('[data-qid]');
+  if (!link) return;
+
+  // Don't toggle the surrounding <details> in the exam details modal
+  e.preventDefault();
+  showQuestionDetail(Number(link.dataset.qid));
+}
+
+function showQuestionDetail(qid) {
+  if (stats.renderQuestionDetail(qid)) {
+    $('questionDetailModal').classList.add('show');
+  }
+}
+
+function toggleDetailFlag() {
+  const qid = Number($('questionDetailBody').dataset.qid);
+  if (!qid) return;
+
+  state.toggleQuestionFlag(qid);
+  storage.saveAll();
+  stats.renderQuestionDetail(qid);
+  stats.updateFlaggedList();
+}
+
 function clearStats() {
   if (!confirmAction(MESSAGES.BG.CONFIRM_CLEAR_STATS)) return;
   state.clearStats();
@@ -465,9 +1353,11 @@ function clearStats() {
 function resetAll() {
   if (!confirmAction(MESSAGES.BG.CONFIRM_RESET_ALL)) return;
   state.resetAllData();
+  storage.clearLocalSession();
   storage.saveAll();
   ui.hideStatsPanel();
   ui.resetSetupPanel();
+  refreshToday();
 }
 
 function reviewWeakPoints() {
@@ -479,13 +1369,7 @@ function reviewWeakPoints() {
 
   ui.hideStatsPanel();
 
-  if (!quiz.startRound(ROUND_TYPES.REVIEW_WEAK, weakIds)) return;
-
-  ui.showExamUI();
-  ui.initExamUI();
-  timer.startExamTimer(finishExam);
-  timer.resetQuestionTimer();
-  ui.renderQuestion();
+  launchRound(ROUND_TYPES.REVIEW_WEAK, weakIds);
 }
 
 function reviewFlaggedQuestions() {
@@ -497,13 +1381,33 @@ function reviewFlaggedQuestions() {
 
   ui.hideStatsPanel();
 
-  if (!quiz.startRound(ROUND_TYPES.REVIEW_ALL, flaggedIds)) return;
+  launchRound(ROUND_TYPES.REVIEW_ALL, flaggedIds);
+}
 
-  ui.showExamUI();
-  ui.initExamUI();
-  timer.startExamTimer(finishExam);
-  timer.resetQuestionTimer();
-  ui.renderQuestion();
+function reviewOverconfidentErrors() {
+  const ids = stats.getCalibration().overconfident.map(item => item.qid);
+  if (!ids.length) return;
+
+  const s = state.getState();
+  if (!s.currentMode) state.setMode('learning');
+
+  ui.hideStatsPanel();
+
+  launchRound(ROUND_TYPES.REVIEW_OVERCONFIDENT, ids);
+}
+
+function practiceTopic(topicId) {
+  const s = state.getState();
+  const topicIds = topics.groupByTopic(s.allQuestionIds).get(topicId);
+  if (!topicIds?.length) return;
+
+  const questions = smart.generateSmartQueue(TOPIC_CONFIG.PRACTICE_SIZE, topicIds, { ahead: true });
+
+  if (!s.currentMode) state.setMode('learning');
+
+  ui.hideStatsPanel();
+
+  launchRound(ROUND_TYPES.TOPIC, questions);
 }
 
 // ============ SYNC ============
@@ -528,28 +1432,174 @@ async function connectToSync() {
     return;
   }
 
-  if (!confirmAction(MESSAGES.BG.CONFIRM_CONNECT)) return;
+  const connected = await connectWithPreview(newId, { passphrase: $('otherPassphrase').value });
+  if (connected) $('otherPassphrase').value = '';
+}
 
-  const success = await storage.connectToSyncId(newId);
+/**
+ * Show what another profile holds, then replace local data with it if confirmed
+ * @param {string} syncId
+ * @param {{passphrase?: string, key?: string}} secret - Passphrase, or the key from a pairing link
+ * @returns {Promise<boolean>} - True if connected
+ */
+async function connectWithPreview(syncId, secret) {
+  const preview = await storage.previewProfile(syncId, secret);
+  if (!preview.ok) {
+    showAlert(MESSAGES.BG.CONNECT_ERRORS[preview.error]);
+    return false;
+  }
 
-  if (success) {
-    showAlert(MESSAGES.BG.CONNECTED);
-    ui.hideSyncModal();
+  const date = new Date(preview.data.timestamp || 0).toLocaleString('bg-BG');
+  if (!confirmAction(MESSAGES.BG.CONFIRM_CONNECT(backup.countData(preview.data), date))) return false;
 
-    const s = state.getState();
-    if (s.exams.length > 0 && s.currentMode) {
-      ui.renderExamButtons();
-    }
-  } else {
-    showAlert(MESSAGES.BG.SYNC_ID_NOT_FOUND);
+  await storage.connectToProfile(preview);
+  syncLocalSession();
+  onCloudDataChange();
+  watchDisputes();
+
+  showAlert(MESSAGES.BG.CONNECTED);
+  ui.hideSyncModal();
+
+  const s = state.getState();
+  if (s.exams.length > 0 && s.currentMode) {
+    ui.renderExamButtons();
+  }
+  return true;
+}
+
+/**
+ * Ask for a new profile passphrase
+ * @returns {string|null} - Null if cancelled or too short
+ */
+function askPassphrase() {
+  const passphrase = promptInput(MESSAGES.BG.ENTER_PASSPHRASE(PROFILE_CONFIG.MIN_PASSPHRASE));
+  if (passphrase === null) return null;
+
+  if (passphrase.length < PROFILE_CONFIG.MIN_PASSPHRASE) {
+    showAlert(MESSAGES.BG.PASSPHRASE_TOO_SHORT(PROFILE_CONFIG.MIN_PASSPHRASE));
+    return null;
   }
+  return passphrase;
+}
+
+async function protectProfile() {
+  const passphrase = askPassphrase();
+  if (passphrase === null) return;
+
+  $('protectProfileBtn').disabled = true;
+  const success = await storage.protectProfile(passphrase);
+  $('protectProfileBtn').disabled = false;
+
+  ui.renderProfileSecurity(storage.isProfileProtected());
+  showAlert(success ? MESSAGES.BG.PROTECTED_DONE : MESSAGES.BG.CONNECT_ERRORS.unavailable);
+}
+
+function showPairingQr() {
+  const link = storage.getPairingLink();
+  if (!link) {
+    showAlert(MESSAGES.BG.PAIR_UNAVAILABLE);
+    return;
+  }
+  ui.renderPairingQr(renderQrSvg(link));
+}
+
+// ============ SYNC SETTINGS ============
+
+function saveSyncSettings() {
+  let settings;
+  try {
+    settings = ui.readSyncSettings();
+  } catch {
+    showAlert(MESSAGES.BG.SETTINGS_BAD_FIREBASE);
+    return;
+  }
+
+  const saved = runtimeConfig.getLocalSettings();
+  runtimeConfig.saveLocalSettings({
+    ...saved,
+    ...settings,
+    SYNC_CONFIG: { ...saved.SYNC_CONFIG, ...settings.SYNC_CONFIG }
+  });
+  location.reload();
+}
+
+async function createMaintainerKey() {
+  if (storage.getMaintainerKey() && !confirmAction(MESSAGES.BG.CONFIRM_NEW_MAINTAINER_KEY)) return;
+
+  const key = await storage.createMaintainerKey();
+  disputes.setMaintainerKey(key);
+  $('settingsMaintainerKey').value = key.publicKey;
+}
+
+function resetSyncSettings() {
+  if (!confirmAction(MESSAGES.BG.CONFIRM_RESET_SETTINGS)) return;
+  runtimeConfig.clearLocalSettings();
+  location.reload();
+}
+
+// ============ BACKUP ============
+
+let pendingBackup = null;
+
+async function downloadBackup() {
+  const file = await backup.buildBackup();
+  const day = file.createdAt.slice(0, 10);
+  downloadFile(`agentforce-exam-backup-${day}.json`, JSON.stringify(file), 'application/json');
+}
+
+async function previewBackup() {
+  const file = $('backupFile').files[0];
+  pendingBackup = null;
+  if (!file) return;
+
+  const { ok, backup: parsed, error } = await backup.parseBackup(await file.text());
+  if (!ok) {
+    ui.resetBackupForm();
+    showAlert(MESSAGES.BG.BACKUP_ERRORS[error]);
+    return;
+  }
+
+  pendingBackup = parsed;
+  ui.renderBackupPreview(backup.getRestorePreview(parsed), parsed.createdAt);
+}
+
+function restoreBackup() {
+  if (!pendingBackup) return;
+
+  const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+  if (mode === 'replace' && !confirmAction(MESSAGES.BG.CONFIRM_RESTORE_REPLACE)) return;
+
+  const data = mode === 'replace'
+    ? pendingBackup.data
+    : backup.mergeBackupData(state.getAllData(), pendingBackup.data);
+
+  state.restoreAllData(data, mode === 'replace');
+  syncLocalSession();
+  storage.saveAll();
+
+  pendingBackup = null;
+  ui.resetBackupForm();
+  onCloudDataChange();
+  showAlert(MESSAGES.BG.RESTORE_DONE);
+}
+
+/**
+ * Keep the session copy on this device in line with replaced data
+ */
+function syncLocalSession() {
+  const session = state.getActiveSession();
+  if (session) storage.saveLocalSession(session);
+  else storage.clearLocalSession();
 }
 
 async function resetSyncProfile() {
   if (!confirmAction(MESSAGES.BG.CONFIRM_NEW_PROFILE)) return;
 
+  const passphrase = askPassphrase();
+  if (passphrase === null) return;
+
   state.resetAllData();
-  await storage.createNewProfile();
+  await storage.createNewProfile(passphrase);
 
   showAlert(MESSAGES.BG.NEW_PROFILE);
   ui.hideSyncModal();
@@ -0,0 +1,251 @@
+/**
+ * Sync Merge Module
+ * Сливане на данни от няколко устройства без загуба на записи
+ */
+
+import { HISTORY_CONFIG } from './config.js';
+
+// ============ HELPERS ============
+
+/**
+ * Get a timestamp in ms from an ISO date, day key or number (0 if unknown)
+ * @param {string|number|undefined} value
+ * @returns {number}
+ */
+function toTime(value) {
+  if (typeof value === 'number') return value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Get the items of a list or a synced map (which may come back as a sparse array)
+ * @param {Array|Object|null} list
+ * @returns {Array}
+ */
+function values(list) {
+  return Object.values(list || {}).filter(item => item != null);
+}
+
+/**
+ * Join lists, keeping the first item of each key
+ * @param {Array<Array|Object>} lists
+ * @param {Function} keyOf - Item identity
+ * @returns {Array}
+ */
+function unionBy(lists, keyOf) {
+  const seen = new Set();
+  return lists.flatMap(values).filter(item => {
+    const key = keyOf(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Key list items by their identity, so they merge like a map
+ * @param {Array|Object} list
+ * @param {Function} keyOf - Item identity
+ * @returns {Object}
+ */
+function keyBy(list, keyOf) {
+  return Object.fromEntries(values(list).map(item => [keyOf(item), item]));
+}
+
+/**
+ * Merge two per-question maps entry by entry
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Function} pick - (a, b) => merged entry, when both sides have one
+ * @returns {Object}
+ */
+function mergeRecords(a, b, pick) {
+  const merged = {};
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+
+  keys.forEach(key => {
+    const x = a?.[key];
+    const y = b?.[key];
+    const value = x == null ? y : y == null ? x : pick(x, y);
+    if (value != null) merged[key] = value;
+  });
+
+  return merged;
+}
+
+/**
+ * Keep map entries that pass a test
+ * @param {Object} record
+ * @param {Function} test
+ * @returns {Object}
+ */
+function filterRecord(record, test) {
+  return Object.fromEntries(
+    Object.entries(record || {}).filter(([, value]) => value != null && test(value))
+  );
+}
+
+/**
+ * Pick the entry changed last
+ * @param {string} field - Timestamp field
+ * @returns {Function}
+ */
+function latestBy(field) {
+  return (a, b) => (toTime(b[field]) > toTime(a[field]) ? b : a);
+}
+
+/**
+ * Get when an entry last changed; a deletion (`deletedAt` tombstone) counts as a change
+ * @param {Object} entry
+ * @returns {number}
+ */
+function changedAt(entry) {
+  return Math.max(toTime(entry.updatedAt), toTime(entry.createdAt), toTime(entry.deletedAt));
+}
+
+/**
+ * Pick the entry changed or deleted last
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function latestChange(a, b) {
+  return changedAt(b) > changedAt(a) ? b : a;
+}
+
+/**
+ * Sort entries oldest first
+ * @param {string} field - Timestamp field
+ * @returns {Function}
+ */
+function byTime(field) {
+  return (a, b) => toTime(a[field]) - toTime(b[field]);
+}
+
+// ============ RESETS ============
+
+/**
+ * Drop what one side recorded before a reset it hadn't seen yet
+ * @param {Object} deck - Deck snapshot of one side
+ * @param {number} statsCut - Stats reset to apply (0 = this side saw it)
+ * @param {number} fullCut - Full reset to apply (0 = this side saw it)
+ * @returns {Object}
+ */
+function dropBeforeReset(deck, statsCut, fullCut) {
+  if (!statsCut && !fullCut) return deck;
+
+  const statsAfter = time => toTime(time) > statsCut;
+  const after = time => toTime(time) > fullCut;
+
+  const trimmed = {
+    ...deck,
+    history: values(deck.history).filter(h => statsAfter(h.date)),
+    attemptLog: Object.fromEntries(
+      Object.entries(deck.attemptLog || {})
+        .map(([qid, log]) => [qid, values(log).filter(a => statsAfter(a.date))])
+        .filter(([, log]) => log.length)
+    ),
+    wrongCounts: statsCut ? {} : deck.wrongCounts
+  };
+
+  if (!fullCut) return trimmed;
+
+  return {
+    ...trimmed,
+    completedLearning: [],
+    completedExam: [],
+    exams: [],
+    sessionPresets: [],
+    studySettings: {},
+    examHistory: values(deck.examHistory).filter(e => after(e.date)),
+    questionMeta: filterRecord(deck.questionMeta, m => after(m.updatedAt)),
+    spacedRepetition: filterRecord(deck.spacedRepetition, c => after(c.lastSeen)),
+    questionOverrides: filterRecord(deck.questionOverrides, o => after(changedAt(o))),
+    studyDays: values(deck.studyDays).filter(after)
+  };
+}
+
+// ============ MERGE ============
+
+/**
+ * Merge progress of one deck from two devices
+ * @param {Object} a - Deck snapshot (wins ties)
+ * @param {Object} b - Deck snapshot
+ * @returns {Object}
+ */
+function mergeDeck(a, b) {
+  return {
+    completedLearning: unionBy([a.completedLearning, b.completedLearning], id => id),
+    completedExam: unionBy([a.completedExam, b.completedExam], id => id),
+    history: unionBy([a.history, b.history], h => h.id || h.date).sort(byTime('date')),
+    wrongCounts: mergeRecords(a.wrongCounts, b.wrongCounts, Math.max),
+    exams: values(a.exams).length ? a.exams : b.exams || [],
+    questionMeta: mergeRecords(a.questionMeta, b.questionMeta, latestBy('updatedAt')),
+    spacedRepetition: mergeRecords(a.spacedRepetition, b.spacedRepetition, latestBy('lastSeen')),
+    examHistory: unionBy([a.examHistory, b.examHistory], e => e.id || e.date)
+      .sort(byTime('date')).slice(-HISTORY_CONFIG.EXAMS_KEPT),
+    attemptLog: mergeRecords(a.attemptLog, b.attemptLog,
+      (x, y) => unionBy([x, y], attempt => attempt.date).sort(byTime('date')).slice(-HISTORY_CONFIG.ATTEMPTS_KEPT)),
+    sessionPresets: values(mergeRecords(
+      keyBy(a.sessionPresets, p => p.name), keyBy(b.sessionPresets, p => p.name), latestChange
+    )),
+    questionOverrides: mergeRecords(a.questionOverrides, b.questionOverrides, latestChange),
+    studySettings: { ...b.studySettings, ...a.studySettings },
+    studyDays: unionBy([a.studyDays, b.studyDays], day => day).sort(),
+    statsResetAt: Math.max(a.statsResetAt || 0, b.statsResetAt || 0)
+  };
+}
+
+/**
+ * Merge all data of two devices (or a device and a backup).
+ * Per deck: history, exam history and attempts are append-only; wrong counts
+ * take the max; meta, overrides (`updatedAt`) and SR cards (`lastSeen`) keep
+ * the latest change per question; completed exams and study days are unions.
+ * Presets, overrides and imported decks keep a `deletedAt` tombstone when
+ * removed, so a deletion wins over an older copy on the other side.
+ * Resets (`resetAt`, per-deck `statsResetAt`) drop what the other side
+ * recorded before a reset it hadn't seen yet.
+ * @param {Object} local - Same shape as state.getAllData()
+ * @param {Object} remote - Same shape as state.getAllData()
+ * @param {{honorResets?: boolean}} [options] - False keeps entries older than a reset (restoring a backup)
+ * @returns {Object} - Same shape as state.getAllData()
+ */
+export function mergeData(local, remote, { honorResets = true } = {}) {
+  const resetA = local.resetAt || 0;
+  const resetB = remote.resetAt || 0;
+  const fullReset = Math.max(resetA, resetB);
+
+  const deckIds = new Set([
+    ...Object.keys(filterRecord(local.decks, () => true)),
+    ...Object.keys(filterRecord(remote.decks, () => true))
+  ]);
+
+  const decks = {};
+  deckIds.forEach(deckId => {
+    let a = local.decks?.[deckId] || {};
+    let b = remote.decks?.[deckId] || {};
+
+    if (honorResets) {
+      const statsA = Math.max(a.statsResetAt || 0, resetA);
+      const statsB = Math.max(b.statsResetAt || 0, resetB);
+      const statsReset = Math.max(statsA, statsB);
+      a = dropBeforeReset(a, statsA < statsReset ? statsReset : 0, resetA < fullReset ? fullReset : 0);
+      b = dropBeforeReset(b, statsB < statsReset ? statsReset : 0, resetB < fullReset ? fullReset : 0);
+    }
+
+    decks[deckId] = mergeDeck(a, b);
+  });
+
+  const session = (remote.activeSession?.savedAt || 0) > (local.activeSession?.savedAt || 0)
+    ? remote.activeSession
+    : local.activeSession;
+
+  return {
+    timestamp: Date.now(),
+    resetAt: honorResets ? fullReset : resetA,
+    decks,
+    customDecks: mergeRecords(local.customDecks, remote.customDecks, latestChange),
+    activeSession: session || null
+  };
+}
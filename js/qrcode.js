@@ -0,0 +1,400 @@
+/**
+ * QR Code Module
+ * QR код за свързване на устройства (byte mode, ниво L, версии 1-10)
+ */
+
+// Error correction level L, versions 1-10
+const ECC_CODEWORDS_PER_BLOCK = [7, 10, 15, 20, 26, 18, 20, 24, 30, 18];
+const NUM_BLOCKS = [1, 1, 1, 1, 1, 2, 2, 2, 2, 4];
+const MAX_VERSION = ECC_CODEWORDS_PER_BLOCK.length;
+const FORMAT_LEVEL_L = 1;
+const QUIET_ZONE = 4;
+
+// ============ REED-SOLOMON ============
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Generator polynomial of a given degree (highest term omitted)
+ * @param {number} degree
+ * @returns {number[]}
+ */
+function getDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Error correction codewords of a block
+ * @param {number[]} data
+ * @param {number[]} divisor
+ * @returns {number[]}
+ */
+function getRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+}
+
+// ============ CODEWORDS ============
+
+/**
+ * Number of modules available for codewords
+ * @param {number} version
+ * @returns {number}
+ */
+function getRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Number of data codewords (without error correction)
+ * @param {number} version
+ * @returns {number}
+ */
+function getDataCodewords(version) {
+  return Math.floor(getRawModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version - 1] * NUM_BLOCKS[version - 1];
+}
+
+/**
+ * Encode bytes as data codewords (mode, length, data, padding)
+ * @param {Uint8Array} bytes
+ * @param {number} version
+ * @returns {number[]}
+ */
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  const capacity = getDataCodewords(version) * 8;
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave
+ * @param {number[]} data
+ * @param {number} version
+ * @returns {number[]}
+ */
+function addErrorCorrection(data, version) {
+  const numBlocks = NUM_BLOCKS[version - 1];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version - 1];
+  const rawCodewords = Math.floor(getRawModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = getDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = getRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Padding byte of short blocks is skipped
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ============ MATRIX ============
+
+/**
+ * Create an empty symbol with all function patterns drawn
+ * @param {number} version
+ * @returns {{size: number, modules: boolean[][], reserved: boolean[][]}}
+ */
+function createSymbol(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  // Alignment patterns (not on top of finders)
+  const positions = getAlignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => positions.forEach((cx, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }));
+
+  // Version information
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Reserve format areas (drawn per mask)
+  drawFormatBits({ size, set }, 0);
+
+  return { size, modules, reserved };
+}
+
+/**
+ * Centre coordinates of alignment patterns
+ * @param {number} version
+ * @param {number} size
+ * @returns {number[]}
+ */
+function getAlignmentPositions(version, size) {
+  if (version === 1) return [];
+
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+/**
+ * Draw both copies of the format information
+ * @param {{size: number, set: Function}} symbol
+ * @param {number} mask
+ */
+function drawFormatBits({ size, set }, mask) {
+  const data = (FORMAT_LEVEL_L << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+/**
+ * Place codewords in the zigzag order
+ * @param {{size: number, modules: boolean[][], reserved: boolean[][]}} symbol
+ * @param {number[]} codewords
+ */
+function drawCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+/** @type {Array<(x: number, y: number) => boolean>} */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+/**
+ * Apply a mask to a copy of the symbol
+ * @param {{size: number, modules: boolean[][], reserved: boolean[][]}} symbol
+ * @param {number} mask
+ * @returns {boolean[][]}
+ */
+function applyMask({ size, modules, reserved }, mask) {
+  const result = modules.map(row => [...row]);
+  const set = (x, y, dark) => { result[y][x] = dark; };
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) result[y][x] = !result[y][x];
+    }
+  }
+  drawFormatBits({ size, set }, mask);
+  return result;
+}
+
+/**
+ * Penalty score of a masked symbol (lower reads better)
+ * @param {boolean[][]} modules
+ * @returns {number}
+ */
+function getPenalty(modules) {
+  const size = modules.length;
+  const columns = modules.map((_, x) => modules.map(row => row[x]));
+  const finderLike = /(0000|^)1011101|1011101(0000|$)/g;
+  let penalty = 0;
+
+  [...modules, ...columns].forEach(line => {
+    // Runs of 5+ same-colour modules
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+
+    // Patterns that look like finders
+    const text = line.map(dark => (dark ? 1 : 0)).join('');
+    penalty += (text.match(finderLike) || []).length * 40;
+  });
+
+  // 2x2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+
+  return penalty;
+}
+
+// ============ PUBLIC ============
+
+/**
+ * Encode text as a QR code
+ * @param {string} text
+ * @param {number} [mask] - Fixed mask 0-7 (default: lowest penalty)
+ * @returns {boolean[][]|null} - Dark modules by row, null if the text is too long
+ */
+export function encodeQr(text, mask) {
+  const bytes = new TextEncoder().encode(text);
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > MAX_VERSION) return null;
+
+  const symbol = createSymbol(version);
+  drawCodewords(symbol, addErrorCorrection(encodeData(bytes, version), version));
+
+  if (mask !== undefined) return applyMask(symbol, mask);
+
+  return MASKS
+    .map((_, i) => applyMask(symbol, i))
+    .reduce((best, candidate) => (getPenalty(candidate) < getPenalty(best) ? candidate : best));
+}
+
+/**
+ * Render text as an SVG QR code
+ * @param {string} text
+ * @returns {string|null} - SVG markup, null if the text is too long
+ */
+export function renderQrSvg(text) {
+  const modules = encodeQr(text);
+  if (!modules) return null;
+
+  const size = modules.length + QUIET_ZONE * 2;
+  const path = modules.flatMap((row, y) => row
+    .map((dark, x) => (dark ? `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z` : ''))
+    .filter(Boolean)
+  ).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img">` +
+    `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
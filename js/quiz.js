@@ -9,12 +9,15 @@ import {
   getQuestionState, getAnswerOrder, setAnswerOrder,
   updateQuestionState, incrementWrongCount, markExamCompleted,
   addHistoryEntry, saveBaseState, initStack, nextQuestion, prevQuestion,
-  isLastQuestion, isLearningMode, isSmartMode, setRoundType, getCompletedExams,
-  setExams, setSelectedExamIndex
+  goToQuestion, isLastQuestion, hasImmediateFeedback, setRoundType, getCompletedExams,
+  setExams, setSelectedExamIndex, isLearningMode, isSmartMode, recordStudyDay,
+  addAttempt
 } from './state.js';
-import { shuffle, calcPercent } from './utils.js';
+import { shuffle, calcPercent, toAnswerList, toDayKey } from './utils.js';
 import { getQuestionElapsed, resetQuestionTimer } from './timer.js';
 import { saveAll } from './storage.js';
+import { getBlueprint, groupByTopic, apportionByWeight, getTopicTitle } from './topics.js';
+import { reviewQuestion } from './smart.js';
 
 /**
  * @typedef {Object} ExamStats
@@ -23,6 +26,9 @@ import { saveAll } from './storage.js';
  * @property {number[]} dk - "Don't know" question IDs
  * @property {number[]} ns - "Not sure" question IDs
  * @property {number[]} correctButNotSure - Correct but marked as not sure
+ * @property {number[]} overconfident - Wrong without a "not sure"/"don't know" flag
+ * @property {Array<{qid: number, score: number}>} partial - Multi-select questions with partial credit
+ * @property {number} points - Correct answers plus partial credit
  * @property {number} totalTime - Total time spent
  */
 
@@ -40,9 +46,32 @@ export function ensureAnswerOrder(qid) {
   setAnswerOrder(qid, shuffled);
 }
 
+/**
+ * Score selected answers against the answer key.
+ * Exact-set match counts as correct; for multi-select questions
+ * each right pick earns a share of the credit and each wrong pick costs one.
+ * @param {QuestionData} question - Question data
+ * @param {string[]} selected - Selected answer letters
+ * @returns {{isCorrect: boolean, score: number}}
+ */
+export function scoreAnswer(question, selected) {
+  const picks = new Set(toAnswerList(selected));
+  const correct = question.correct;
+
+  const hits = correct.filter(a => picks.has(a)).length;
+  const misses = picks.size - hits;
+  const isCorrect = hits === correct.length && misses === 0;
+
+  if (isCorrect) return { isCorrect, score: 1 };
+  if (correct.length < 2) return { isCorrect, score: 0 };
+
+  const score = Math.max(0, (hits - misses) / correct.length);
+  return { isCorrect, score: Math.round(score * 100) / 100 };
+}
+
 /**
  * Update draft state for current question (before checking)
- * @param {string|null} selectedAnswer - Selected answer letter
+ * @param {string[]|null} selectedAnswer - Selected answer letters (empty clears the answer, null keeps it)
  * @param {boolean} dontKnow - "Don't know" flag
  * @param {boolean} notSure - "Not sure" flag
  */
@@ -52,14 +81,18 @@ export function updateDraftState(selectedAnswer, dontKnow, notSure) {
 
   const existing = getQuestionState(qid);
 
-  // In learning mode, don't update if already answered
-  if (isLearningMode() && existing?.status && existing.status !== 'unanswered') {
+  // With immediate feedback, don't update if already answered
+  if (hasImmediateFeedback() && existing?.status && existing.status !== 'unanswered') {
     return;
   }
 
+  // Unchecking every answer takes the answer back
+  const cleared = Array.isArray(selectedAnswer) && !selectedAnswer.length;
+
   updateQuestionState(qid, {
-    selectedAnswer: selectedAnswer || existing?.selectedAnswer || null,
-    status: existing?.status || 'unanswered',
+    selectedAnswer: selectedAnswer ?? existing?.selectedAnswer ?? null,
+    status: cleared ? 'unanswered' : existing?.status || 'unanswered',
+    ...(cleared ? { score: 0 } : {}),
     dontKnow,
     notSure,
     time: existing?.time || 0
@@ -68,36 +101,88 @@ export function updateDraftState(selectedAnswer, dontKnow, notSure) {
 
 /**
  * Check the current question and record result
- * @param {string} selectedAnswer - Selected answer letter
+ * @param {string[]} selectedAnswer - Selected answer letters
  * @returns {boolean} - Whether question was answered (not skipped)
  */
 export function checkCurrentQuestion(selectedAnswer) {
-  if (!selectedAnswer) return false;
+  if (!selectedAnswer?.length) return false;
 
   const qid = getCurrentQuestionId();
   const question = getCurrentQuestion();
   if (!qid || !question) return false;
 
   const timeSpent = getQuestionElapsed();
-  const isCorrect = question.correct.includes(selectedAnswer);
+  const { isCorrect, score } = scoreAnswer(question, selectedAnswer);
 
   const existing = getQuestionState(qid);
 
+  // Revisits (exam navigator) add to the time already spent
   updateQuestionState(qid, {
-    selectedAnswer,
+    selectedAnswer: [...selectedAnswer],
     status: isCorrect ? 'correct' : 'wrong',
+    score,
     dontKnow: existing?.dontKnow || false,
     notSure: existing?.notSure || false,
-    time: timeSpent
+    time: (existing?.time || 0) + timeSpent
   });
 
-  if (!isCorrect) {
+  recordStudyDay(toDayKey());
+
+  // With immediate feedback the first answer is final; exam rounds can still
+  // change answers, so their wrong answers are counted on submit
+  if (hasImmediateFeedback() && !isCorrect && existing?.status !== 'wrong') {
     incrementWrongCount(qid);
   }
 
+  // Learning/Smart answers reschedule the question right away
+  if ((isLearningMode() || isSmartMode()) && (!existing?.status || existing.status === 'unanswered')) {
+    reviewQuestion(qid, isCorrect, existing?.notSure || false, existing?.dontKnow || false);
+    saveAll();
+  }
+
+  // With immediate feedback the first answer is final; exam rounds log at finish
+  if (hasImmediateFeedback()) {
+    recordAttempt(qid, getQuestionState(qid));
+  }
+
   return true;
 }
 
+/**
+ * Record the submitted answers of an exam round
+ * (wrong counts and attempt log - feedback rounds record as they go)
+ * @param {number[]} questionIds - Questions of the round
+ */
+export function recordFinalAnswers(questionIds) {
+  questionIds.forEach(qid => {
+    const qState = getQuestionState(qid);
+    if (qState?.status === 'wrong') incrementWrongCount(qid);
+    recordAttempt(qid, qState);
+  });
+}
+
+/**
+ * Add an answer to the question's attempt log
+ * @param {number} qid - Question ID
+ * @param {QuestionState} qState - Answer state
+ */
+export function recordAttempt(qid, qState) {
+  if (!qState?.status || qState.status === 'unanswered') return;
+
+  const { currentMode, currentRoundType } = getState();
+  addAttempt(qid, {
+    date: Date.now(),
+    mode: currentMode,
+    roundType: currentRoundType,
+    answer: qState.selectedAnswer || null,
+    correct: qState.status === 'correct',
+    score: qState.score ?? 0,
+    time: qState.time || 0,
+    notSure: qState.notSure || false,
+    dontKnow: qState.dontKnow || false
+  });
+}
+
 /**
  * Compute statistics from question states
  * @param {Object} questionState - Question state object
@@ -110,6 +195,9 @@ export function computeStats(questionState, questionIds) {
   const dk = [];
   const ns = [];
   const correctButNotSure = [];
+  const overconfident = [];
+  const partial = [];
+  let points = 0;
   let totalTime = 0;
 
   questionIds.forEach(qid => {
@@ -122,13 +210,21 @@ export function computeStats(questionState, questionIds) {
 
     if (state.status === 'correct') {
       correct++;
+      points++;
       if (state.notSure) correctButNotSure.push(qid);
     } else {
       wrong.push(qid);
+      if (!state.notSure && !state.dontKnow) overconfident.push(qid);
+      if (state.score > 0) {
+        partial.push({ qid, score: state.score });
+        points += state.score;
+      }
     }
   });
 
-  return { correct, wrong, dk, ns, correctButNotSure, totalTime };
+  points = Math.round(points * 100) / 100;
+
+  return { correct, wrong, dk, ns, correctButNotSure, overconfident, partial, points, totalTime };
 }
 
 /**
@@ -144,10 +240,15 @@ export function isPassed(correct, total) {
 
 /**
  * Generate exams by splitting questions into groups
+ * (blueprint-weighted when the deck defines an exam outline)
  * @param {number[]} allQuestionIds - All question IDs
  * @returns {number[][]}
  */
 export function generateExams(allQuestionIds) {
+  if (getBlueprint().length) {
+    return generateBlueprintExams(allQuestionIds);
+  }
+
   const shuffled = shuffle([...allQuestionIds]);
   const exams = [];
   const size = Math.ceil(shuffled.length / EXAM_CONFIG.TOTAL_EXAMS);
@@ -159,6 +260,101 @@ export function generateExams(allQuestionIds) {
   return exams;
 }
 
+/**
+ * Generate exams whose domain mix follows the blueprint weights.
+ * Every question lands in exactly one exam. Each exam takes its weighted
+ * share of every domain; a domain too small for its weight is spread evenly,
+ * and its missing share is filled with leftovers of other domains and
+ * questions outside the blueprint.
+ * @param {number[]} allQuestionIds - All question IDs
+ * @returns {number[][]}
+ */
+export function generateBlueprintExams(allQuestionIds) {
+  const count = EXAM_CONFIG.TOTAL_EXAMS;
+  const total = allQuestionIds.length;
+
+  // Spread the remainder over the first exams
+  const sizes = Array.from({ length: count }, (_, i) => Math.floor(total / count) + (i < total % count ? 1 : 0));
+  const targets = sizes.map(size => apportionByWeight(size));
+  const exams = sizes.map(() => []);
+  const leftover = [];
+
+  groupByTopic(allQuestionIds).forEach((ids, topic) => {
+    const pool = shuffle(ids);
+    const quota = targets.reduce((sum, target) => sum + (target.get(topic) || 0), 0);
+    const placed = Math.min(pool.length, quota);
+
+    exams.forEach((exam, i) => {
+      const even = Math.floor(placed / count) + (i < placed % count ? 1 : 0);
+      exam.push(...pool.splice(0, Math.min(even, targets[i].get(topic) || 0)));
+    });
+    leftover.push(...pool);
+  });
+
+  const fill = shuffle(leftover);
+  return exams.map((exam, i) => shuffle([...exam, ...fill.splice(0, sizes[i] - exam.length)]));
+}
+
+/**
+ * Draw a fresh mock exam from the whole bank
+ * @param {number[]} allQuestionIds - All question IDs
+ * @param {Object} options
+ * @param {number} options.size - Number of questions
+ * @param {boolean} [options.weighted] - Follow blueprint weights
+ * @param {Set<number>} [options.exclude] - Questions to avoid (used only if the bank runs short)
+ * @returns {number[]}
+ */
+export function drawMockExam(allQuestionIds, { size, weighted = false, exclude = new Set() }) {
+  const fresh = shuffle(allQuestionIds.filter(qid => !exclude.has(qid)));
+  const seen = shuffle(allQuestionIds.filter(qid => exclude.has(qid)));
+  const target = Math.min(size, allQuestionIds.length);
+  const exam = [];
+
+  if (weighted && getBlueprint().length) {
+    const pools = groupByTopic(fresh);
+    apportionByWeight(target).forEach((count, topic) => {
+      exam.push(...(pools.get(topic) || []).slice(0, count));
+    });
+  }
+
+  // Fill up with fresh questions first, then with recently seen ones
+  const picked = new Set(exam);
+  [...fresh, ...seen].forEach(qid => {
+    if (exam.length < target && !picked.has(qid)) {
+      exam.push(qid);
+      picked.add(qid);
+    }
+  });
+
+  return shuffle(exam);
+}
+
+/**
+ * Compute score per blueprint section
+ * @param {Object} questionState - Question state object
+ * @param {number[]} questionIds - Array of question IDs
+ * @returns {Array<{topic: string, title: string, correct: number, total: number, pct: number, passed: boolean}>}
+ */
+export function computeSectionStats(questionState, questionIds) {
+  const order = getBlueprint().map(d => d.id);
+  const rank = topic => order.includes(topic) ? order.indexOf(topic) : order.length;
+
+  return [...groupByTopic(questionIds).entries()]
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([topic, ids]) => {
+      const correct = ids.filter(qid => questionState[qid]?.status === 'correct').length;
+      const pct = calcPercent(correct, ids.length);
+      return {
+        topic,
+        title: getTopicTitle(topic),
+        correct,
+        total: ids.length,
+        pct,
+        passed: pct >= EXAM_CONFIG.PASS_THRESHOLD
+      };
+    });
+}
+
 /**
  * Start a new exam round
  * @param {string} roundType - Type of round
@@ -197,6 +393,7 @@ export function finishExam(roundType, questionState, stack, mode, selectedExamIn
     const avgTime = total ? Math.round(stats.totalTime / total) : 0;
 
     addHistoryEntry({
+      id: 'round_' + Date.now(),
       date: new Date().toISOString(),
       mode,
       total,
@@ -213,17 +410,19 @@ export function finishExam(roundType, questionState, stack, mode, selectedExamIn
  * Move to next question or finish
  * @param {Function} onFinish - Callback when exam finishes
  * @param {Function} onShowQuestion - Callback to show question
- * @param {string|null} selectedAnswer - Currently selected answer
+ * @param {string[]} selectedAnswer - Currently selected answer letters
+ * @param {Function} [onReview] - Callback for the pre-submit review (exam mode)
  * @returns {boolean} - True if moved to next, false if finished
  */
-export function handleNext(onFinish, onShowQuestion, selectedAnswer) {
-  if (!selectedAnswer) return false;
+export function handleNext(onFinish, onShowQuestion, selectedAnswer, onReview = onFinish) {
+  // Exam mode allows skipping a question and coming back from the navigator
+  if (!selectedAnswer?.length && hasImmediateFeedback()) return false;
 
   const qid = getCurrentQuestionId();
   const qState = getQuestionState(qid);
 
-  // Learning and Smart modes show result immediately
-  if (isLearningMode() || isSmartMode()) {
+  // Learning/Smart modes and review rounds show result immediately
+  if (hasImmediateFeedback()) {
     // First show result, then move to next
     if (!qState || qState.status === 'unanswered') {
       checkCurrentQuestion(selectedAnswer);
@@ -242,8 +441,8 @@ export function handleNext(onFinish, onShowQuestion, selectedAnswer) {
       return false;
     }
   } else {
-    // Exam mode: check and move immediately
-    checkCurrentQuestion(selectedAnswer);
+    // Exam mode: check and move immediately, review before submitting
+    saveCurrentAnswer(selectedAnswer);
 
     if (!isLastQuestion()) {
       nextQuestion();
@@ -251,18 +450,103 @@ export function handleNext(onFinish, onShowQuestion, selectedAnswer) {
       onShowQuestion();
       return true;
     } else {
-      onFinish();
+      onReview();
       return false;
     }
   }
 }
 
+/**
+ * Record the current answer without moving (exam mode).
+ * Unanswered questions only keep their time.
+ * @param {string[]} selectedAnswer - Currently selected answer letters
+ */
+export function saveCurrentAnswer(selectedAnswer) {
+  if (checkCurrentQuestion(selectedAnswer)) {
+    resetQuestionTimer();
+    return;
+  }
+
+  const qid = getCurrentQuestionId();
+  if (!qid) return;
+
+  const existing = getQuestionState(qid);
+  updateQuestionState(qid, {
+    selectedAnswer: existing?.selectedAnswer || null,
+    status: existing?.status || 'unanswered',
+    dontKnow: existing?.dontKnow || false,
+    notSure: existing?.notSure || false,
+    time: (existing?.time || 0) + getQuestionElapsed()
+  });
+  resetQuestionTimer();
+}
+
+/**
+ * Jump to a question from the navigator (exam mode)
+ * @param {number} index - Stack position
+ * @param {Function} onShowQuestion - Callback to show question
+ * @param {string[]} selectedAnswer - Currently selected answer letters
+ * @returns {boolean} - True if moved
+ */
+export function handleJump(index, onShowQuestion, selectedAnswer) {
+  if (hasImmediateFeedback()) return false;
+
+  saveCurrentAnswer(selectedAnswer);
+  if (!goToQuestion(index)) return false;
+
+  onShowQuestion();
+  return true;
+}
+
+/**
+ * Toggle "mark for review" on the current question
+ * @returns {boolean} - New marked state
+ */
+export function toggleMarkForReview() {
+  const qid = getCurrentQuestionId();
+  if (!qid) return false;
+
+  const marked = !getQuestionState(qid)?.marked;
+  updateQuestionState(qid, {
+    status: getQuestionState(qid)?.status || 'unanswered',
+    marked
+  });
+  return marked;
+}
+
+/**
+ * Summarize the round for the navigator and pre-submit review
+ * @param {Object} questionState - Question state object
+ * @param {number[]} stack - Question stack
+ * @returns {{items: Array<{index: number, qid: number, answered: boolean, marked: boolean}>, answered: number, unanswered: number, marked: number}}
+ */
+export function getNavigatorSummary(questionState, stack) {
+  const items = stack.map((qid, index) => ({
+    index,
+    qid,
+    answered: !!questionState[qid] && questionState[qid].status !== 'unanswered',
+    marked: !!questionState[qid]?.marked
+  }));
+
+  const answered = items.filter(i => i.answered).length;
+  return {
+    items,
+    answered,
+    unanswered: items.length - answered,
+    marked: items.filter(i => i.marked).length
+  };
+}
+
 /**
  * Move to previous question
  * @param {Function} onShowQuestion - Callback to show question
+ * @param {string[]} [selectedAnswer] - Currently selected answer letters (saved in exam mode)
  * @returns {boolean} - True if moved
  */
-export function handleBack(onShowQuestion) {
+export function handleBack(onShowQuestion, selectedAnswer) {
+  if (getState().currentIndex === 0) return false;
+  if (!hasImmediateFeedback()) saveCurrentAnswer(selectedAnswer);
+
   if (prevQuestion()) {
     onShowQuestion();
     return true;
@@ -289,6 +573,8 @@ export function getReviewQuestions(baseState, baseStack, reviewType) {
       return stats.ns;
     case ROUND_TYPES.REVIEW_DONT_KNOW:
       return stats.dk;
+    case ROUND_TYPES.REVIEW_OVERCONFIDENT:
+      return stats.overconfident;
     case ROUND_TYPES.REVIEW_ALL:
       return [...new Set([...stats.wrong, ...stats.dk, ...stats.ns])];
     default:
@@ -0,0 +1,124 @@
+/**
+ * Runtime Configuration Module
+ * Настройки на инсталацията (config.json, устройство, URL параметри)
+ */
+
+import * as config from './config.js';
+import { RUNTIME_CONFIG, STORAGE_KEYS } from './config.js';
+
+/**
+ * @typedef {Object.<string, Object>} ConfigOverrides
+ * Keys are section names from RUNTIME_CONFIG.SECTIONS, values hold keys of that section
+ */
+
+// Credentials: replaced as a whole, keys are not known in advance
+const CREDENTIAL_SECTIONS = ['FIREBASE_CONFIG'];
+
+/**
+ * Copy known keys of one section onto its config object
+ * (unknown keys and computed values are ignored)
+ * @param {string} section - e.g. 'SYNC_CONFIG'
+ * @param {Object} values
+ */
+function applySection(section, values) {
+  const target = config[section];
+  if (!target || !values || typeof values !== 'object') return;
+
+  if (CREDENTIAL_SECTIONS.includes(section)) {
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, values);
+    return;
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    const descriptor = Object.getOwnPropertyDescriptor(target, key);
+    if (!descriptor || descriptor.get) return;
+
+    const current = target[key];
+    if (typeof current === 'number') {
+      const number = Number(value);
+      if (Number.isFinite(number)) target[key] = number;
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+/**
+ * Apply overrides to the config objects
+ * @param {ConfigOverrides} overrides
+ */
+function applyOverrides(overrides) {
+  RUNTIME_CONFIG.SECTIONS.forEach(section => applySection(section, overrides?.[section]));
+}
+
+/**
+ * Fetch the deployment config
+ * @param {string} path
+ * @returns {Promise<ConfigOverrides|null>}
+ */
+async function fetchDeploymentConfig(path) {
+  try {
+    const response = await fetch(path, { cache: 'no-cache' });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (error) {
+    console.warn('Runtime config unavailable, using defaults:', error);
+    return null;
+  }
+}
+
+/**
+ * Read short URL parameters as overrides.
+ * Where data syncs to is never taken from a link: a crafted link would send
+ * the profile to another server, so that only changes in the sync settings.
+ * @param {URLSearchParams} params
+ * @returns {ConfigOverrides}
+ */
+function readUrlOverrides(params) {
+  const overrides = {};
+
+  Object.entries(RUNTIME_CONFIG.URL_PARAMS).forEach(([param, [section, key]]) => {
+    if (!params.has(param)) return;
+    overrides[section] = { ...overrides[section], [key]: params.get(param) };
+  });
+
+  return overrides;
+}
+
+/**
+ * Get the settings saved on this device
+ * @returns {ConfigOverrides}
+ */
+export function getLocalSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.RUNTIME_CONFIG)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save settings for this device (applied on the next start)
+ * @param {ConfigOverrides} settings
+ */
+export function saveLocalSettings(settings) {
+  localStorage.setItem(STORAGE_KEYS.RUNTIME_CONFIG, JSON.stringify(settings));
+}
+
+/**
+ * Drop the settings of this device
+ */
+export function clearLocalSettings() {
+  localStorage.removeItem(STORAGE_KEYS.RUNTIME_CONFIG);
+}
+
+/**
+ * Load runtime config: config.json, then device settings, then URL parameters
+ * @returns {Promise<void>}
+ */
+export async function loadRuntimeConfig() {
+  applyOverrides(await fetchDeploymentConfig(RUNTIME_CONFIG.PATH));
+  applyOverrides(getLocalSettings());
+  applyOverrides(readUrlOverrides(new URLSearchParams(location.search)));
+}
@@ -6,122 +6,221 @@
 import { SPACED_REP_CONFIG } from './config.js';
 import {
     getState, getSpacedRepData, updateSpacedRepData,
-    getAllSpacedRepData
+    getAllSpacedRepData, getStudySettings, getStudyDays, getExamHistory
 } from './state.js';
-import { shuffle } from './utils.js';
+import { shuffle, toDayKey } from './utils.js';
+
+// ============ SCHEDULER ============
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ReviewCard
+ * @property {number} level - 0 = new/lapsed, 1-5 derived from interval
+ * @property {number} ease - SM-2 ease factor
+ * @property {number} interval - Current interval (days)
+ * @property {number} due - Timestamp when the question is due
+ * @property {number} reps - Successful reviews in a row
+ * @property {number} lapses - Times the question was forgotten
+ * @property {number} lastSeen - Timestamp of the last answer
+ * @property {number} firstSeen - Timestamp of the first answer
+ * @property {number} seenCount - Total answers
+ */
 
 /**
- * Update spaced repetition level after answering
+ * Get scheduling data for a question.
+ * Older level-only data is treated as due now with a matching interval.
  * @param {number} qid - Question ID
+ * @returns {ReviewCard}
+ */
+export function getCard(qid) {
+    const data = getSpacedRepData(qid);
+    const legacyInterval = data.level ? SPACED_REP_CONFIG.LEVEL_INTERVALS[data.level - 1] : 0;
+
+    return {
+        ...data,
+        ease: data.ease ?? SPACED_REP_CONFIG.INITIAL_EASE,
+        interval: data.interval ?? legacyInterval,
+        due: data.due ?? data.lastSeen,
+        reps: data.reps ?? Math.min(data.level, 2),
+        lapses: data.lapses ?? 0,
+        firstSeen: data.firstSeen ?? 0
+    };
+}
+
+/**
+ * Derive mastery level from an interval
+ * @param {number} interval - Interval in days
+ * @returns {number}
+ */
+function levelForInterval(interval) {
+    return SPACED_REP_CONFIG.LEVEL_INTERVALS.filter(days => interval >= days).length;
+}
+
+/**
+ * Map an answer to an SM-2 grade
  * @param {boolean} correct - Was answer correct
  * @param {boolean} notSure - Was marked as "not sure"
+ * @param {boolean} dontKnow - Was marked as "don't know"
+ * @returns {number}
  */
-export function updateSpacedRepLevel(qid, correct, notSure) {
-    const data = getSpacedRepData(qid);
-    let newLevel = data.level;
+function gradeAnswer(correct, notSure, dontKnow) {
+    const { GRADES } = SPACED_REP_CONFIG;
+    if (!correct || dontKnow) return GRADES.WRONG;
+    return notSure ? GRADES.NOT_SURE : GRADES.SURE;
+}
 
-    if (correct) {
-        if (notSure) {
-            newLevel += SPACED_REP_CONFIG.CORRECT_NOT_SURE;
-        } else {
-            newLevel += SPACED_REP_CONFIG.CORRECT_SURE;
-        }
+/**
+ * Compute the next schedule for a card (SM-2)
+ * @param {ReviewCard} card - Current card
+ * @param {number} grade - SM-2 quality (0-5)
+ * @param {number} [now] - Review timestamp
+ * @returns {ReviewCard}
+ */
+export function scheduleReview(card, grade, now = Date.now()) {
+    const { MIN_EASE, FIRST_INTERVALS, RELEARN_MINUTES } = SPACED_REP_CONFIG;
+
+    const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+    const next = {
+        ...card,
+        ease: Math.round(ease * 100) / 100,
+        lastSeen: now,
+        firstSeen: card.seenCount ? card.firstSeen : now,
+        seenCount: card.seenCount + 1
+    };
+
+    if (grade < 3) {
+        // Forgotten: relearn today, start the interval ladder again
+        next.reps = 0;
+        next.interval = 0;
+        next.lapses = card.lapses + (card.seenCount ? 1 : 0);
+        next.due = now + RELEARN_MINUTES * 60 * 1000;
     } else {
-        newLevel += SPACED_REP_CONFIG.WRONG;
+        next.interval = card.reps < FIRST_INTERVALS.length
+            ? FIRST_INTERVALS[card.reps]
+            : Math.round(Math.max(card.interval, 1) * ease);
+        next.reps = card.reps + 1;
+        next.due = now + next.interval * DAY_MS;
     }
 
-    // Clamp level between 0 and MAX_LEVEL
-    newLevel = Math.max(0, Math.min(SPACED_REP_CONFIG.MAX_LEVEL, newLevel));
+    next.level = levelForInterval(next.interval);
+    return next;
+}
 
-    updateSpacedRepData(qid, {
-        level: newLevel,
-        lastSeen: Date.now(),
-        seenCount: data.seenCount + 1
-    });
+/**
+ * Record an answer and reschedule the question
+ * @param {number} qid - Question ID
+ * @param {boolean} correct - Was answer correct
+ * @param {boolean} notSure - Was marked as "not sure"
+ * @param {boolean} [dontKnow] - Was marked as "don't know"
+ */
+export function reviewQuestion(qid, correct, notSure, dontKnow = false) {
+    const card = scheduleReview(getCard(qid), gradeAnswer(correct, notSure, dontKnow));
+    updateSpacedRepData(qid, card);
 }
 
 /**
- * Calculate priority score for a question (lower = show sooner)
+ * Check if a question has never been answered
  * @param {number} qid - Question ID
- * @param {number} currentPosition - Current position in session
- * @returns {number} Priority score
+ * @returns {boolean}
  */
-export function calculatePriority(qid, currentPosition = 0) {
-    const data = getSpacedRepData(qid);
-    const interval = SPACED_REP_CONFIG.INTERVALS[data.level] || 50;
+function isNew(qid) {
+    return getSpacedRepData(qid).seenCount === 0;
+}
 
-    // Never seen = highest priority
-    if (data.seenCount === 0) {
-        return -1000 + Math.random() * 100; // Add randomness for new questions
-    }
+// ============ DAILY LIMITS ============
+
+/**
+ * Get timestamp of local midnight
+ * @param {number} now - Current timestamp
+ * @returns {number}
+ */
+function startOfDay(now) {
+    return new Date(now).setHours(0, 0, 0, 0);
+}
+
+/**
+ * Count new questions introduced today
+ * @param {number} [now] - Current timestamp
+ * @returns {number}
+ */
+export function getNewIntroducedToday(now = Date.now()) {
+    const dayStart = startOfDay(now);
+    return Object.keys(getAllSpacedRepData())
+        .map(getCard)
+        .filter(card => card.seenCount > 0 && card.firstSeen >= dayStart)
+        .length;
+}
 
-    // Calculate how "overdue" this question is
-    const questionsSinceSeen = currentPosition - (data.lastSeenPosition || 0);
-    const overdueScore = questionsSinceSeen - interval;
+/**
+ * Count reviews of earlier seen questions done today
+ * @param {number} [now] - Current timestamp
+ * @returns {number}
+ */
+export function getReviewsDoneToday(now = Date.now()) {
+    const dayStart = startOfDay(now);
+    return Object.keys(getAllSpacedRepData())
+        .map(getCard)
+        .filter(card => card.lastSeen >= dayStart && card.firstSeen < dayStart)
+        .length;
+}
 
-    // Lower level = higher priority (shown sooner)
-    const levelPenalty = data.level * 10;
+/**
+ * Get remaining new questions allowed today
+ * @param {number} [now] - Current timestamp
+ * @returns {number}
+ */
+export function getNewAllowedToday(now = Date.now()) {
+    return Math.max(0, getStudySettings().newPerDay - getNewIntroducedToday(now));
+}
 
-    return overdueScore - levelPenalty;
+/**
+ * Get remaining reviews allowed today
+ * @param {number} [now] - Current timestamp
+ * @returns {number}
+ */
+export function getReviewsAllowedToday(now = Date.now()) {
+    return Math.max(0, getStudySettings().reviewsPerDay - getReviewsDoneToday(now));
 }
 
+// ============ SESSION QUEUE ============
+
 /**
- * Generate a smart session queue
- * @param {number} sessionSize - Number of questions for session
+ * Generate a smart session queue: due questions first (most overdue first),
+ * then new questions, both within the daily limits
+ * @param {number} [sessionSize] - Number of questions for session
+ * @param {number[]} [candidateIds] - Restrict to these questions (default: all)
+ * @param {{ahead?: boolean}} [options] - `ahead` fills up with the soonest upcoming questions
  * @returns {number[]} Array of question IDs in order
  */
-export function generateSmartQueue(sessionSize = 20) {
+export function generateSmartQueue(sessionSize = SPACED_REP_CONFIG.SESSION_SIZE, candidateIds = null, { ahead = false } = {}) {
     const state = getState();
-    const allQids = state.allQuestionIds;
+    const allQids = candidateIds || state.allQuestionIds;
 
     if (!allQids.length) return [];
 
-    // Score all questions
-    const scored = allQids.map(qid => ({
-        qid,
-        priority: calculatePriority(qid, 0),
-        data: getSpacedRepData(qid)
-    }));
+    const now = Date.now();
+    const byDue = (a, b) => getCard(a).due - getCard(b).due;
 
-    // Sort by priority (lowest first = show first)
-    scored.sort((a, b) => a.priority - b.priority);
+    const seen = allQids.filter(qid => !isNew(qid)).sort(byDue);
+    const due = seen.filter(qid => getCard(qid).due <= now);
+    const fresh = shuffle(allQids.filter(isNew));
 
-    // Take top questions for session
-    const selected = scored.slice(0, Math.min(sessionSize, allQids.length));
+    const reviewLimit = ahead ? due.length : getReviewsAllowedToday(now);
+    const queue = due.slice(0, Math.min(sessionSize, reviewLimit));
+    const newLimit = ahead ? fresh.length : getNewAllowedToday(now);
+    queue.push(...fresh.slice(0, Math.min(newLimit, sessionSize - queue.length)));
 
-    // Shuffle slightly to avoid predictability
-    return shuffleWithPriority(selected);
-}
-
-/**
- * Shuffle while respecting priority groups
- * @param {Array} scoredQuestions
- * @returns {number[]}
- */
-function shuffleWithPriority(scoredQuestions) {
-    // Group by priority tiers
-    const urgent = [];    // Level 0-1 or never seen
-    const moderate = [];  // Level 2-3
-    const review = [];    // Level 4-5
-
-    scoredQuestions.forEach(({ qid, data }) => {
-        if (data.seenCount === 0 || data.level <= 1) {
-            urgent.push(qid);
-        } else if (data.level <= 3) {
-            moderate.push(qid);
-        } else {
-            review.push(qid);
-        }
-    });
+    // Review ahead: questions that will be due soonest
+    if (ahead && queue.length < sessionSize) {
+        queue.push(...seen.filter(qid => getCard(qid).due > now).slice(0, sessionSize - queue.length));
+    }
 
-    // Shuffle within groups and combine
-    return [
-        ...shuffle(urgent),
-        ...shuffle(moderate),
-        ...shuffle(review)
-    ];
+    return queue;
 }
 
+// ============ STATS ============
+
 /**
  * Get statistics for smart mode
  * @returns {Object}
@@ -160,35 +259,74 @@ export function getSmartStats() {
 }
 
 /**
- * Get questions that need review (due based on interval)
+ * Get questions that are due for review (not including new ones)
+ * @param {number} [now] - Current timestamp
  * @returns {number[]}
  */
-export function getDueQuestions() {
+export function getDueQuestions(now = Date.now()) {
     const state = getState();
-    const allQids = state.allQuestionIds;
+    return state.allQuestionIds.filter(qid => !isNew(qid) && getCard(qid).due <= now);
+}
 
-    return allQids.filter(qid => {
-        const data = getSpacedRepData(qid);
-        if (data.seenCount === 0) return true; // Never seen
+// ============ TODAY ============
 
-        const interval = SPACED_REP_CONFIG.INTERVALS[data.level];
-        const timeSinceSeen = Date.now() - data.lastSeen;
-        const hoursSinceSeen = timeSinceSeen / (1000 * 60 * 60);
+/**
+ * Average time per answered question from exam history
+ * @returns {number} Seconds
+ */
+function getAverageSecondsPerQuestion() {
+    const times = getExamHistory()
+        .flatMap(exam => (exam.questions || []).map(q => q.time))
+        .filter(time => time > 0);
 
-        // Consider due if more than interval hours have passed
-        return hoursSinceSeen >= interval;
-    });
+    if (!times.length) return SPACED_REP_CONFIG.DEFAULT_SECONDS_PER_QUESTION;
+    return Math.round(times.reduce((sum, time) => sum + time, 0) / times.length);
 }
 
 /**
- * Track position in current session for spacing
- * @param {number} qid - Question ID
- * @param {number} position - Position in session
+ * Count consecutive study days up to today
+ * (a streak stays alive until the end of today)
+ * @param {number} [now] - Current timestamp
+ * @returns {number}
  */
-export function markQuestionSeen(qid, position) {
-    const data = getSpacedRepData(qid);
-    updateSpacedRepData(qid, {
-        ...data,
-        lastSeenPosition: position
-    });
-}
\ No newline at end of file
+export function getStudyStreak(now = Date.now()) {
+    const days = new Set(getStudyDays());
+    const day = new Date(now);
+
+    if (!days.has(toDayKey(day))) day.setDate(day.getDate() - 1);
+
+    let streak = 0;
+    while (days.has(toDayKey(day))) {
+        streak++;
+        day.setDate(day.getDate() - 1);
+    }
+    return streak;
+}
+
+/**
+ * Summarize today's study workload
+ * @param {number} [now] - Current timestamp
+ * @returns {{due: number, overdue: number, reviews: number, newCount: number, total: number, estimatedSeconds: number, streak: number}}
+ */
+export function getTodaySummary(now = Date.now()) {
+    const state = getState();
+    const dayStart = startOfDay(now);
+
+    const dueIds = getDueQuestions(now);
+    const overdue = dueIds.filter(qid => getCard(qid).due < dayStart).length;
+    const newAvailable = state.allQuestionIds.filter(isNew).length;
+
+    const reviews = Math.min(dueIds.length, getReviewsAllowedToday(now));
+    const newCount = Math.min(newAvailable, getNewAllowedToday(now));
+    const total = reviews + newCount;
+
+    return {
+        due: dueIds.length,
+        overdue,
+        reviews,
+        newCount,
+        total,
+        estimatedSeconds: total * getAverageSecondsPerQuestion(),
+        streak: getStudyStreak(now)
+    };
+}
@@ -3,7 +3,7 @@
  * Единно място за цялото състояние на приложението
  */
 
-import { ROUND_TYPES } from './config.js';
+import { ROUND_TYPES, DECK_CONFIG, SESSION_CONFIG, SPACED_REP_CONFIG, HISTORY_CONFIG } from './config.js';
 
 /**
  * @typedef {Object} QuestionData
@@ -11,19 +11,39 @@ import { ROUND_TYPES } from './config.js';
  * @property {string} question - Question text
  * @property {Object.<string, string>} answers - Answer options
  * @property {string[]} correct - Correct answer letters
+ * @property {string} [explanation] - Why the correct answer is right
+ * @property {Object.<string, string>} [rationale] - Per-answer rationale
+ * @property {Array<{title: string, url: string}|string>} [references] - Documentation links
+ * @property {string[]} [topics] - Blueprint domain IDs
+ * @property {boolean} [retired] - Retired by a local override (kept for history, not drawn)
+ */
+
+/**
+ * @typedef {Object} QuestionOverride
+ * @property {string} [question] - Corrected question text
+ * @property {Object.<string, string>} [answers] - Corrected answer options
+ * @property {string[]} [correct] - Corrected answer key
+ * @property {string} [explanation] - Corrected explanation
+ * @property {boolean} [retired] - Exclude the question from new rounds
+ * @property {boolean} [added] - Question does not exist in the base bank
+ * @property {number} updatedAt - Timestamp of the last edit
+ * @property {number} [deletedAt] - Reverted to the base question (kept so the revert syncs)
  */
 
 /**
  * @typedef {Object} QuestionState
- * @property {string|null} selectedAnswer - Selected answer letter
+ * @property {string[]|null} selectedAnswer - Selected answer letters
  * @property {'unanswered'|'correct'|'wrong'} status - Answer status
+ * @property {number} [score] - Partial credit (0-1) for multi-select questions
  * @property {boolean} dontKnow - "Don't know" flag
  * @property {boolean} notSure - "Not sure" flag
  * @property {number} time - Time spent on question (seconds)
+ * @property {boolean} [marked] - Marked for review before submitting
  */
 
 /**
  * @typedef {Object} HistoryEntry
+ * @property {string} id - Round ID (older entries have none)
  * @property {string} date - ISO date string
  * @property {'learning'|'exam'} mode - Exam mode
  * @property {number} total - Total questions
@@ -35,8 +55,9 @@ import { ROUND_TYPES } from './config.js';
 // ============ APPLICATION STATE ============
 const state = {
   // Questions data
-  questions: {},
-  allQuestionIds: [],
+  questions: {},       // Base bank merged with local overrides
+  allQuestionIds: [],  // Active (not retired) question IDs
+  baseQuestions: [],   // Deck questions as loaded, before overrides
   exams: [],
 
   // Current exam state
@@ -66,14 +87,42 @@ const state = {
   wrongCounts: {},
 
   // NEW: Question metadata (flags & notes)
-  questionMeta: {},  // { qid: { flagged: bool, note: string } }
+  questionMeta: {},  // { qid: { flagged: bool, note: string, updatedAt: number } }
 
   // NEW: Spaced Repetition data
-  spacedRepetition: {},  // { qid: { level: 0-5, lastSeen: timestamp, seenCount: number } }
+  spacedRepetition: {},  // { qid: { level, ease, interval, due, reps, lapses, lastSeen, firstSeen, seenCount } }
 
   // NEW: Detailed exam history
   examHistory: [],  // Array of detailed exam results
 
+  // Per-question attempt log
+  attemptLog: {},  // { qid: [{ date, mode, roundType, answer, correct, score, time, notSure, dontKnow }] }
+
+  // Saved session builder presets
+  sessionPresets: [],  // [{ id, name, filters, updatedAt }], deleted ones as { id, name, deletedAt }
+
+  // Local corrections to the question bank
+  questionOverrides: {},  // { qid: QuestionOverride }
+
+  // Daily study: limits and days with at least one answer
+  studySettings: {},  // { newPerDay, reviewsPerDay }
+  studyDays: [],      // ['YYYY-MM-DD', ...]
+
+  // Reset marks, so a merge with another device doesn't bring cleared data back
+  statsResetAt: 0,  // Last "clear stats" of the active deck
+  resetAt: 0,       // Last "reset all" (every deck)
+
+  // Decks created by importing questions (not tied to the active deck)
+  customDecks: {},  // { deckId: { title, questions, createdAt } }, deleted ones as { deletedAt }
+
+  // Deck namespacing: progress fields above belong to the active deck,
+  // other decks are kept as persisted snapshots
+  activeDeckId: DECK_CONFIG.DEFAULT_DECK_ID,
+  deckData: {},  // { deckId: { completedExam, wrongCounts, ... } }
+
+  // Snapshot of the in-progress round (for resume after reload)
+  activeSession: null,
+
   // Sync state
   syncId: null,
   isOnline: false,
@@ -152,6 +201,25 @@ export function isExamMode() {
   return state.currentMode === 'exam';
 }
 
+/**
+ * Check if currently in mock exam mode
+ * @returns {boolean}
+ */
+export function isMockMode() {
+  return state.currentMode === 'mock';
+}
+
+/**
+ * Check if answers are checked right away
+ * (learning and smart modes, and every round other than the base round)
+ * @returns {boolean}
+ */
+export function hasImmediateFeedback() {
+  return state.currentMode === 'learning'
+    || state.currentMode === 'smart'
+    || state.currentRoundType !== ROUND_TYPES.BASE;
+}
+
 /**
  * Get correct answer text for a question
  * @param {number} qid - Question ID
@@ -163,6 +231,16 @@ export function getCorrectText(qid) {
   return q.correct.map(a => q.answers[a]).join(', ');
 }
 
+/**
+ * Check if a question expects more than one answer ("choose 2/3")
+ * @param {number} qid - Question ID
+ * @returns {boolean}
+ */
+export function isMultiSelect(qid) {
+  const q = state.questions[qid];
+  return !!q && q.correct.length > 1;
+}
+
 // ============ STATE SETTERS ============
 
 /**
@@ -170,11 +248,12 @@ export function getCorrectText(qid) {
  * @param {QuestionData[]} questionsArray
  */
 export function loadQuestions(questionsArray) {
+  state.baseQuestions = questionsArray;
   state.questions = {};
   state.allQuestionIds = [];
-  questionsArray.forEach(q => {
+  mergeQuestionOverrides(questionsArray, state.questionOverrides).forEach(q => {
     state.questions[q.number] = q;
-    state.allQuestionIds.push(q.number);
+    if (!q.retired) state.allQuestionIds.push(q.number);
   });
 }
 
@@ -297,6 +376,16 @@ export function resetAllData() {
   state.questionMeta = {};
   state.spacedRepetition = {};
   state.examHistory = [];
+  state.attemptLog = {};
+  state.sessionPresets = [];
+  state.questionOverrides = {};
+  state.studySettings = {};
+  state.studyDays = [];
+  state.statsResetAt = 0;
+  state.resetAt = Date.now();
+  state.deckData = {};
+  state.activeSession = null;
+  loadQuestions(state.baseQuestions);
 }
 
 /**
@@ -305,6 +394,77 @@ export function resetAllData() {
 export function clearStats() {
   state.history = [];
   state.wrongCounts = {};
+  state.attemptLog = {};
+  state.statsResetAt = Date.now();
+}
+
+// ============ QUESTION OVERRIDES ============
+
+/**
+ * Merge local overrides over a question bank
+ * @param {QuestionData[]} baseQuestions - Questions as loaded
+ * @param {Object.<number, QuestionOverride>} overrides
+ * @returns {QuestionData[]} - Edited, added and retired questions included
+ */
+export function mergeQuestionOverrides(baseQuestions, overrides) {
+  const apply = (question, override) => {
+    if (!override || override.deletedAt) return question;
+    const { added, updatedAt, ...fields } = override;
+    return { ...question, ...fields, number: question.number };
+  };
+
+  const baseNumbers = new Set(baseQuestions.map(q => q.number));
+  const added = Object.entries(overrides)
+    .filter(([qid, override]) => override?.added && !baseNumbers.has(Number(qid)))
+    .map(([qid, override]) => apply({ number: Number(qid) }, override));
+
+  return [
+    ...baseQuestions.map(q => apply(q, overrides[q.number])),
+    ...added.sort((a, b) => a.number - b.number)
+  ];
+}
+
+/**
+ * Get a question as it is in the base bank (without overrides)
+ * @param {number} qid - Question ID
+ * @returns {QuestionData|undefined}
+ */
+export function getBaseQuestion(qid) {
+  return state.baseQuestions.find(q => q.number === qid);
+}
+
+/**
+ * Get local overrides of the active deck (reverted ones left out)
+ * @returns {Object.<number, QuestionOverride>}
+ */
+export function getQuestionOverrides() {
+  return Object.fromEntries(
+    Object.entries(state.questionOverrides).filter(([, override]) => override && !override.deletedAt)
+  );
+}
+
+/**
+ * Set or clear the override of a question and re-merge the bank
+ * @param {number} qid - Question ID
+ * @param {Object|null} override - Changed fields, null restores the base question
+ */
+export function setQuestionOverride(qid, override) {
+  if (override) {
+    state.questionOverrides[qid] = { ...override, updatedAt: Date.now() };
+  } else {
+    state.questionOverrides[qid] = { deletedAt: Date.now() };
+  }
+  loadQuestions(state.baseQuestions);
+}
+
+/**
+ * Get IDs of retired questions
+ * @returns {number[]}
+ */
+export function getRetiredQuestionIds() {
+  return Object.values(state.questions)
+    .filter(q => q.retired)
+    .map(q => q.number);
 }
 
 // ============ QUESTION META (FLAGS & NOTES) ============
@@ -328,6 +488,7 @@ export function toggleQuestionFlag(qid) {
     state.questionMeta[qid] = { flagged: false, note: '' };
   }
   state.questionMeta[qid].flagged = !state.questionMeta[qid].flagged;
+  state.questionMeta[qid].updatedAt = Date.now();
   return state.questionMeta[qid].flagged;
 }
 
@@ -341,6 +502,7 @@ export function setQuestionNote(qid, note) {
     state.questionMeta[qid] = { flagged: false, note: '' };
   }
   state.questionMeta[qid].note = note;
+  state.questionMeta[qid].updatedAt = Date.now();
 }
 
 /**
@@ -384,6 +546,46 @@ export function getAllSpacedRepData() {
   return state.spacedRepetition;
 }
 
+// ============ DAILY STUDY ============
+
+/**
+ * Get daily study limits (defaults from config)
+ * @returns {{newPerDay: number, reviewsPerDay: number}}
+ */
+export function getStudySettings() {
+  return {
+    newPerDay: SPACED_REP_CONFIG.NEW_PER_DAY,
+    reviewsPerDay: SPACED_REP_CONFIG.REVIEWS_PER_DAY,
+    ...state.studySettings
+  };
+}
+
+/**
+ * Update daily study limits
+ * @param {Partial<{newPerDay: number, reviewsPerDay: number}>} updates
+ */
+export function setStudySettings(updates) {
+  state.studySettings = { ...state.studySettings, ...updates };
+}
+
+/**
+ * Remember that the user studied on a given day
+ * @param {string} dayKey - Local date as YYYY-MM-DD
+ */
+export function recordStudyDay(dayKey) {
+  if (state.studyDays.includes(dayKey)) return;
+
+  state.studyDays = [...state.studyDays, dayKey].sort().slice(-SPACED_REP_CONFIG.STUDY_DAYS_KEPT);
+}
+
+/**
+ * Get days with at least one answer
+ * @returns {string[]}
+ */
+export function getStudyDays() {
+  return state.studyDays;
+}
+
 // ============ DETAILED EXAM HISTORY ============
 
 /**
@@ -396,9 +598,9 @@ export function addExamHistory(examResult) {
     ...examResult
   });
 
-  // Keep only last 50 exams
-  if (state.examHistory.length > 50) {
-    state.examHistory = state.examHistory.slice(-50);
+  // Keep only the most recent exams
+  if (state.examHistory.length > HISTORY_CONFIG.EXAMS_KEPT) {
+    state.examHistory = state.examHistory.slice(-HISTORY_CONFIG.EXAMS_KEPT);
   }
 }
 
@@ -410,6 +612,38 @@ export function getExamHistory() {
   return state.examHistory;
 }
 
+/**
+ * Add an attempt to a question's log
+ * @param {number} qid - Question ID
+ * @param {Object} attempt - Attempt details
+ */
+export function addAttempt(qid, attempt) {
+  const log = [...(state.attemptLog[qid] || []), attempt];
+
+  // Keep only the most recent attempts per question
+  state.attemptLog[qid] = log.slice(-HISTORY_CONFIG.ATTEMPTS_KEPT);
+}
+
+/**
+ * Get attempt log of a question (oldest first)
+ * @param {number} qid - Question ID
+ * @returns {Array<Object>}
+ */
+export function getAttempts(qid) {
+  return Object.values(state.attemptLog[qid] || {});
+}
+
+/**
+ * Get question IDs used in the last K mock exams
+ * @param {number} k - Number of recent mocks
+ * @returns {Set<number>}
+ */
+export function getRecentMockQuestionIds(k) {
+  const mocks = state.examHistory.filter(e => e.mode === 'mock');
+  const recent = k > 0 ? mocks.slice(-k) : [];
+  return new Set(recent.flatMap(e => (e.questions || []).map(q => q.qid)));
+}
+
 /**
  * Get specific exam by ID
  * @param {string} examId
@@ -419,6 +653,49 @@ export function getExamById(examId) {
   return state.examHistory.find(e => e.id === examId);
 }
 
+// ============ SESSION PRESETS ============
+
+/**
+ * Get saved session builder presets
+ * @returns {Array<{id: string, name: string, filters: Object}>}
+ */
+export function getSessionPresets() {
+  return state.sessionPresets.filter(p => !p.deletedAt);
+}
+
+/**
+ * Save a session preset (replaces one with the same name)
+ * @param {string} name - Preset name
+ * @param {Object} filters - Builder filters
+ * @returns {string} - Preset ID
+ */
+export function saveSessionPreset(name, filters) {
+  const existing = getSessionPresets().find(p => p.name === name);
+  if (existing) {
+    existing.filters = filters;
+    existing.updatedAt = Date.now();
+    return existing.id;
+  }
+
+  // A new preset replaces a deleted one of the same name
+  const id = 'preset_' + Date.now();
+  state.sessionPresets = [
+    ...state.sessionPresets.filter(p => p.name !== name),
+    { id, name, filters, updatedAt: Date.now() }
+  ];
+  return id;
+}
+
+/**
+ * Delete a session preset (a tombstone stays, so other devices delete it too)
+ * @param {string} id - Preset ID
+ */
+export function deleteSessionPreset(id) {
+  state.sessionPresets = state.sessionPresets.map(p =>
+    p.id === id ? { id, name: p.name, deletedAt: Date.now() } : p
+  );
+}
+
 // ============ NAVIGATION ============
 
 /**
@@ -456,6 +733,17 @@ export function prevQuestion() {
   return false;
 }
 
+/**
+ * Jump to a question by its position in the stack
+ * @param {number} index - Stack position
+ * @returns {boolean} - True if moved
+ */
+export function goToQuestion(index) {
+  if (!Number.isInteger(index) || index < 0 || index >= state.stack.length) return false;
+  state.currentIndex = index;
+  return true;
+}
+
 /**
  * Check if at last question
  * @returns {boolean}
@@ -483,15 +771,14 @@ export function getQuestionStartTime() { return state.questionStartTime; }
 export function setTimerInterval(interval) { state.timerInterval = interval; }
 export function getTimerInterval() { return state.timerInterval; }
 
-// ============ DATA EXPORT/IMPORT ============
+// ============ DECKS ============
 
 /**
- * Get all persistable data for cloud sync
+ * Get persistable progress of the active deck
  * @returns {Object}
  */
-export function getAllData() {
+function getDeckSnapshot() {
   return {
-    timestamp: Date.now(),
     completedLearning: [...state.completedLearning],
     completedExam: [...state.completedExam],
     history: state.history,
@@ -499,15 +786,21 @@ export function getAllData() {
     exams: state.exams,
     questionMeta: state.questionMeta,
     spacedRepetition: state.spacedRepetition,
-    examHistory: state.examHistory
+    examHistory: state.examHistory,
+    attemptLog: state.attemptLog,
+    sessionPresets: state.sessionPresets,
+    questionOverrides: state.questionOverrides,
+    studySettings: state.studySettings,
+    studyDays: state.studyDays,
+    statsResetAt: state.statsResetAt
   };
 }
 
 /**
- * Apply data from cloud sync
+ * Apply persisted progress to the active deck
  * @param {Object} data
  */
-export function applyData(data) {
+function applyDeckSnapshot(data) {
   if (!data) return;
   if (data.completedLearning) state.completedLearning = new Set(data.completedLearning);
   if (data.completedExam) state.completedExam = new Set(data.completedExam);
@@ -517,9 +810,250 @@ export function applyData(data) {
   if (data.questionMeta) state.questionMeta = data.questionMeta;
   if (data.spacedRepetition) state.spacedRepetition = data.spacedRepetition;
   if (data.examHistory) state.examHistory = data.examHistory;
+  if (data.attemptLog) state.attemptLog = data.attemptLog;
+  if (data.sessionPresets) state.sessionPresets = data.sessionPresets;
+  if (data.questionOverrides) state.questionOverrides = toRecord(data.questionOverrides);
+  if (data.studySettings) state.studySettings = data.studySettings;
+  if (data.studyDays) state.studyDays = data.studyDays;
+  if (data.statsResetAt) state.statsResetAt = data.statsResetAt;
+}
+
+/**
+ * Move pre-deck (flat) data into the default deck
+ * @param {Object} data - Synced data without a `decks` key
+ * @returns {Object.<string, Object>}
+ */
+function migrateLegacyData(data) {
+  const { timestamp, ...legacy } = data;
+  if (!Object.keys(legacy).length) return {};
+  return { [DECK_CONFIG.DEFAULT_DECK_ID]: legacy };
+}
+
+/**
+ * Get decks created by importing questions
+ * @returns {Object.<string, {title: string, questions: QuestionData[], createdAt: number}>}
+ */
+export function getCustomDecks() {
+  return state.customDecks;
+}
+
+/**
+ * Replace imported decks (e.g. from the local cache)
+ * @param {Object} decks
+ */
+export function setCustomDecks(decks) {
+  state.customDecks = decks || {};
+}
+
+/**
+ * Save an imported deck
+ * @param {string} deckId
+ * @param {string} title - Display title
+ * @param {QuestionData[]} questions
+ */
+export function saveCustomDeck(deckId, title, questions) {
+  state.customDecks[deckId] = { title, questions, createdAt: Date.now() };
+}
+
+/**
+ * Get active deck ID
+ * @returns {string}
+ */
+export function getActiveDeckId() {
+  return state.activeDeckId;
+}
+
+/**
+ * Switch active deck, stashing progress of the current one
+ * @param {string} deckId
+ */
+export function switchDeck(deckId) {
+  if (deckId === state.activeDeckId) return;
+
+  state.deckData[state.activeDeckId] = getDeckSnapshot();
+  state.activeDeckId = deckId;
+
+  state.completedLearning = new Set();
+  state.completedExam = new Set();
+  state.history = [];
+  state.wrongCounts = {};
+  state.exams = [];
+  state.questionMeta = {};
+  state.spacedRepetition = {};
+  state.examHistory = [];
+  state.attemptLog = {};
+  state.sessionPresets = [];
+  state.questionOverrides = {};
+  state.studySettings = {};
+  state.studyDays = [];
+  state.statsResetAt = 0;
+  state.currentMode = null;
+  state.selectedExamIndex = null;
+
+  applyDeckSnapshot(state.deckData[deckId]);
+  delete state.deckData[deckId];
+}
+
+// ============ ACTIVE SESSION ============
+
+/**
+ * @typedef {Object} SessionSnapshot
+ * @property {string} deckId - Deck the round belongs to
+ * @property {string} mode - Current mode
+ * @property {string} roundType - Current round type
+ * @property {number|null} selectedExamIndex - Selected exam index
+ * @property {number[]} stack - Question stack
+ * @property {number} currentIndex - Current stack position
+ * @property {Object.<number, QuestionState>} questionState - Answers so far
+ * @property {Object.<number, Array<[string, string]>>} answerOrder - Shuffled answers
+ * @property {number[]|null} baseStack - Base round stack (review rounds)
+ * @property {Object|null} baseState - Base round answers (review rounds)
+ * @property {number} elapsed - Exam time used (seconds)
+ * @property {number} savedAt - Timestamp of the snapshot
+ */
+
+/**
+ * Convert a synced map back to a plain object.
+ * Cloud storage may return numeric-keyed maps as sparse arrays.
+ * @param {Object|Array|null} map
+ * @returns {Object}
+ */
+function toRecord(map) {
+  return Object.fromEntries(
+    Object.entries(map || {}).filter(([, value]) => value != null)
+  );
+}
+
+/**
+ * Capture the in-progress round
+ * @param {number} elapsed - Exam time used (seconds)
+ * @returns {SessionSnapshot}
+ */
+export function captureSession(elapsed) {
+  state.activeSession = JSON.parse(JSON.stringify({
+    deckId: state.activeDeckId,
+    mode: state.currentMode,
+    roundType: state.currentRoundType,
+    selectedExamIndex: state.selectedExamIndex,
+    stack: state.stack,
+    currentIndex: state.currentIndex,
+    questionState: state.questionState,
+    answerOrder: state.answerOrder,
+    baseStack: state.baseStack,
+    baseState: state.baseState,
+    elapsed,
+    savedAt: Date.now()
+  }));
+  return state.activeSession;
+}
+
+/**
+ * Get the last captured session
+ * @returns {SessionSnapshot|null}
+ */
+export function getActiveSession() {
+  return state.activeSession;
+}
+
+/**
+ * Replace the captured session (null clears it)
+ * @param {SessionSnapshot|null} snapshot
+ */
+export function setActiveSession(snapshot) {
+  state.activeSession = snapshot || null;
+}
+
+/**
+ * Restore a captured session as the current round
+ * @param {SessionSnapshot} snapshot
+ */
+export function restoreSession(snapshot) {
+  state.currentMode = snapshot.mode;
+  state.currentRoundType = snapshot.roundType || ROUND_TYPES.BASE;
+  state.selectedExamIndex = snapshot.selectedExamIndex ?? null;
+  state.stack = [...snapshot.stack];
+  state.currentIndex = Math.min(snapshot.currentIndex || 0, state.stack.length - 1);
+  state.questionState = toRecord(snapshot.questionState);
+  state.answerOrder = toRecord(snapshot.answerOrder);
+  state.baseStack = snapshot.baseStack ? [...snapshot.baseStack] : null;
+  state.baseState = snapshot.baseState ? toRecord(snapshot.baseState) : null;
+}
+
+// ============ DATA EXPORT/IMPORT ============
+
+/**
+ * Get all persistable data for cloud sync
+ * @returns {Object}
+ */
+export function getAllData() {
+  return {
+    timestamp: Date.now(),
+    resetAt: state.resetAt,
+    decks: {
+      ...state.deckData,
+      [state.activeDeckId]: getDeckSnapshot()
+    },
+    customDecks: state.customDecks,
+    activeSession: SESSION_CONFIG.SYNC ? state.activeSession : null
+  };
+}
+
+/**
+ * Apply data from cloud sync
+ * @param {Object} data
+ */
+export function applyData(data) {
+  if (!data) return;
+
+  const decks = data.decks || migrateLegacyData(data);
+  state.resetAt = data.resetAt || 0;
+
+  state.deckData = { ...decks };
+  delete state.deckData[state.activeDeckId];
+  applyDeckSnapshot(decks[state.activeDeckId]);
+
+  // Imported decks only get added; a device may have some not yet saved
+  if (data.customDecks) {
+    state.customDecks = { ...state.customDecks, ...data.customDecks };
+  }
+
+  // Overrides may have been edited on another device
+  loadQuestions(state.baseQuestions);
+
+  // Keep whichever unfinished session was saved last
+  if (SESSION_CONFIG.SYNC && data.activeSession?.savedAt > (state.activeSession?.savedAt || 0)) {
+    state.activeSession = data.activeSession;
+  }
+
   state.lastCloudTimestamp = data.timestamp || 0;
 }
 
+/**
+ * Replace all data, e.g. when restoring a backup
+ * (unlike applyData nothing of the current data is kept)
+ * @param {Object} data - Same shape as getAllData()
+ */
+export function replaceAllData(data) {
+  resetAllData();
+  state.customDecks = {};
+  applyData(data);
+  state.activeSession = data.activeSession || null;
+}
+
+/**
+ * Restore a backup. The cloud copy is still the one last synced, so the next
+ * save merges with it; "replace" also counts as a reset made now, so that
+ * merge drops what was recorded before the restore instead of the restored data.
+ * @param {Object} data - Same shape as getAllData()
+ * @param {boolean} asReset - Replace everything (false when the backup was merged in)
+ */
+export function restoreAllData(data, asReset) {
+  const { lastCloudTimestamp } = state;
+  replaceAllData(data);
+  if (asReset) state.resetAt = Date.now();
+  state.lastCloudTimestamp = lastCloudTimestamp;
+}
+
 // Export raw state for debugging (read-only access)
 export function getState() {
   return { ...state };
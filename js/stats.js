@@ -3,9 +3,16 @@
  * Статистики, история и графики
  */
 
-import { EXAM_CONFIG, MESSAGES } from './config.js';
-import { getState, getFlaggedQuestionIds, getExamHistory, getExamById } from './state.js';
-import { $, calcPercent } from './utils.js';
+import { EXAM_CONFIG, MESSAGES, TOPIC_CONFIG, SPACED_REP_CONFIG } from './config.js';
+import {
+  getState, getFlaggedQuestionIds, getExamHistory, getExamById,
+  getQuestion, getCorrectText, getAllSpacedRepData, getAttempts,
+  getQuestionMeta
+} from './state.js';
+import { $, setText, calcPercent, toAnswerList, escapeHtml } from './utils.js';
+import { buildExplanationHtml, getRoundLabel } from './ui.js';
+import { getCard } from './smart.js';
+import { getBlueprint, getPrimaryTopic, getTopicTitle, groupByTopic } from './topics.js';
 
 /**
  * Calculate overall statistics
@@ -69,18 +76,212 @@ export function getAllWeakQuestionIds() {
   return Object.keys(state.wrongCounts).map(Number);
 }
 
+/**
+ * Compare recent sessions with the ones before them
+ * @param {Array<{correct: number, total: number}>} sessions - Chronological per-session results
+ * @returns {'up'|'down'|'flat'|null} - null when there isn't enough history
+ */
+function getTrend(sessions) {
+  const n = TOPIC_CONFIG.TREND_SESSIONS;
+  const recent = sessions.slice(-n);
+  const previous = sessions.slice(-2 * n, -n);
+  if (!recent.length || !previous.length) return null;
+
+  const accuracy = list => calcPercent(
+    list.reduce((sum, r) => sum + r.correct, 0),
+    list.reduce((sum, r) => sum + r.total, 0)
+  );
+  const diff = accuracy(recent) - accuracy(previous);
+
+  if (diff >= TOPIC_CONFIG.TREND_THRESHOLD) return 'up';
+  if (diff <= -TOPIC_CONFIG.TREND_THRESHOLD) return 'down';
+  return 'flat';
+}
+
+/**
+ * Get mastery per blueprint domain: accuracy and average time across
+ * detailed exam history, spaced-repetition levels and recent trend
+ * @returns {Array<Object>}
+ */
+export function getTopicBreakdown() {
+  const state = getState();
+  const srData = getAllSpacedRepData();
+  const topics = new Map();
+
+  groupByTopic(state.allQuestionIds).forEach((qids, topic) => {
+    topics.set(topic, { qids, sessions: [], correct: 0, total: 0, time: 0, timed: 0 });
+  });
+
+  getExamHistory().forEach(exam => {
+    const perSession = new Map();
+
+    (exam.questions || []).forEach(q => {
+      if (!q.answer) return;
+      const topic = topics.get(getPrimaryTopic(q.qid));
+      if (!topic) return;
+
+      const session = perSession.get(topic) || { correct: 0, total: 0 };
+      session.total++;
+      topic.total++;
+      if (q.correct) {
+        session.correct++;
+        topic.correct++;
+      }
+      if (q.time) {
+        topic.time += q.time;
+        topic.timed++;
+      }
+      perSession.set(topic, session);
+    });
+
+    perSession.forEach((session, topic) => topic.sessions.push(session));
+  });
+
+  // Blueprint order first, then anything else
+  const order = getBlueprint().map(d => d.id);
+  const rank = topic => order.includes(topic) ? order.indexOf(topic) : order.length;
+
+  return [...topics.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([topic, t]) => {
+      const levels = new Array(SPACED_REP_CONFIG.MAX_LEVEL + 1).fill(0);
+      let unseen = 0;
+      t.qids.forEach(qid => {
+        const data = srData[qid];
+        if (!data || !data.seenCount) unseen++;
+        else levels[data.level]++;
+      });
+
+      return {
+        topic,
+        title: getTopicTitle(topic),
+        weight: getBlueprint().find(d => d.id === topic)?.weight ?? null,
+        questionIds: t.qids,
+        correct: t.correct,
+        total: t.total,
+        pct: calcPercent(t.correct, t.total),
+        avgTime: t.timed ? Math.round(t.time / t.timed) : 0,
+        levels,
+        unseen,
+        trend: getTrend(t.sessions)
+      };
+    });
+}
+
+/**
+ * Get confidence calibration from detailed exam history.
+ * An answer counts as "sure" when neither "not sure" nor "don't know" was ticked;
+ * answers recorded before confidence flags were stored are skipped.
+ * @returns {{sure: Object, notSure: Object, dontKnow: Object, overconfident: Array<{qid: number, count: number}>, sessions: Array<Object>, trend: string|null}}
+ */
+export function getCalibration() {
+  const bucket = () => ({ correct: 0, total: 0, pct: 0 });
+  const result = { sure: bucket(), notSure: bucket(), dontKnow: bucket() };
+  const overconfidentCounts = new Map();
+  const lastAnswer = new Map();
+  const sessions = [];
+
+  getExamHistory().forEach(exam => {
+    const session = { date: exam.date, sure: bucket(), notSure: bucket(), overconfident: 0 };
+
+    (exam.questions || []).forEach(q => {
+      if (!q.answer || q.notSure === undefined) return;
+
+      const level = q.dontKnow ? 'dontKnow' : q.notSure ? 'notSure' : 'sure';
+      result[level].total++;
+      if (q.correct) result[level].correct++;
+
+      if (level !== 'dontKnow') {
+        session[level].total++;
+        if (q.correct) session[level].correct++;
+      }
+
+      if (level === 'sure' && !q.correct) {
+        session.overconfident++;
+        overconfidentCounts.set(q.qid, (overconfidentCounts.get(q.qid) || 0) + 1);
+      }
+      lastAnswer.set(q.qid, { level, correct: q.correct });
+    });
+
+    if (session.sure.total || session.notSure.total) sessions.push(session);
+  });
+
+  [result.sure, result.notSure, result.dontKnow, ...sessions.flatMap(s => [s.sure, s.notSure])]
+    .forEach(b => { b.pct = calcPercent(b.correct, b.total); });
+
+  // Still open: the last answer wasn't a confident correct one
+  const overconfident = [...overconfidentCounts.entries()]
+    .filter(([qid]) => {
+      const last = lastAnswer.get(qid);
+      return !(last.level === 'sure' && last.correct);
+    })
+    .sort(([, a], [, b]) => b - a)
+    .map(([qid, count]) => ({ qid, count }));
+
+  return {
+    ...result,
+    overconfident,
+    sessions,
+    trend: getTrend(sessions.map(s => s.sure))
+  };
+}
+
 /**
  * Get last N history entries
  * @param {number} n - Number of entries
+ * @param {'practice'|'mock'|'all'} [series] - Mock exams or everything else
  * @returns {Array}
  */
-export function getRecentHistory(n = 10) {
+export function getRecentHistory(n = 10, series = 'all') {
   const state = getState();
-  return state.history.slice(-n);
+  const entries = series === 'all'
+    ? state.history
+    : state.history.filter(h => (h.mode === 'mock') === (series === 'mock'));
+  return entries.slice(-n);
 }
 
 /**
- * Draw history chart on canvas
+ * Draw one score series on the chart
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} entries - History entries
+ * @param {string} color - Line color
+ * @param {{padding: number, chartWidth: number, chartHeight: number}} area - Chart area
+ */
+function drawSeries(ctx, entries, color, { padding, chartWidth, chartHeight }) {
+  if (entries.length < 2) return;
+
+  const stepX = chartWidth / (entries.length - 1);
+  const point = (entry, i) => [
+    padding + i * stepX,
+    padding + chartHeight * (1 - entry.pct / 100)
+  ];
+
+  // Draw score line
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  entries.forEach((entry, i) => {
+    const [x, y] = point(entry, i);
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.stroke();
+
+  // Draw points
+  ctx.fillStyle = color;
+  entries.forEach((entry, i) => {
+    const [x, y] = point(entry, i);
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+/**
+ * Draw history chart on canvas (practice rounds and mock exams as separate series)
  * @param {HTMLCanvasElement} canvas - Canvas element
  */
 export function drawHistoryChart(canvas) {
@@ -93,10 +294,11 @@ export function drawHistoryChart(canvas) {
   ctx.clearRect(0, 0, w, h);
 
   const cs = getComputedStyle(document.body);
-  const history = getRecentHistory(10);
+  const practice = getRecentHistory(10, 'practice');
+  const mocks = getRecentHistory(10, 'mock');
 
   // Not enough data
-  if (history.length < 2) {
+  if (practice.length < 2 && mocks.length < 2) {
     ctx.fillStyle = cs.getPropertyValue('--text2');
     ctx.font = '14px sans-serif';
     ctx.textAlign = 'center';
@@ -105,48 +307,32 @@ export function drawHistoryChart(canvas) {
   }
 
   const padding = 30;
-  const chartWidth = w - padding * 2;
-  const chartHeight = h - padding;
-  const stepX = chartWidth / (history.length - 1);
+  const area = { padding, chartWidth: w - padding * 2, chartHeight: h - padding };
 
-  // Draw pass threshold line (72%)
+  // Draw pass threshold line
   ctx.strokeStyle = cs.getPropertyValue('--danger');
   ctx.setLineDash([5, 5]);
   ctx.beginPath();
-  const y72 = padding + chartHeight * (1 - EXAM_CONFIG.PASS_THRESHOLD / 100);
-  ctx.moveTo(padding, y72);
-  ctx.lineTo(w - padding, y72);
+  const yPass = padding + area.chartHeight * (1 - EXAM_CONFIG.PASS_THRESHOLD / 100);
+  ctx.moveTo(padding, yPass);
+  ctx.lineTo(w - padding, yPass);
   ctx.stroke();
   ctx.setLineDash([]);
 
-  // Draw score line
-  ctx.strokeStyle = cs.getPropertyValue('--accent');
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-
-  history.forEach((entry, i) => {
-    const x = padding + i * stepX;
-    const y = padding + chartHeight * (1 - entry.pct / 100);
-
-    if (i === 0) {
-      ctx.moveTo(x, y);
-    } else {
-      ctx.lineTo(x, y);
-    }
-  });
-
-  ctx.stroke();
-
-  // Draw points
-  ctx.fillStyle = cs.getPropertyValue('--accent');
-  history.forEach((entry, i) => {
-    const x = padding + i * stepX;
-    const y = padding + chartHeight * (1 - entry.pct / 100);
-
-    ctx.beginPath();
-    ctx.arc(x, y, 4, 0, Math.PI * 2);
-    ctx.fill();
-  });
+  const practiceColor = cs.getPropertyValue('--accent');
+  const mockColor = cs.getPropertyValue('--mock');
+  drawSeries(ctx, practice, practiceColor, area);
+  drawSeries(ctx, mocks, mockColor, area);
+
+  // Legend
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = practiceColor;
+  ctx.fillText(`● ${MESSAGES.BG.CHART_PRACTICE}`, padding, 14);
+  if (mocks.length) {
+    ctx.fillStyle = mockColor;
+    ctx.fillText(`● ${MESSAGES.BG.CHART_MOCK}`, padding + 110, 14);
+  }
 }
 
 /**
@@ -175,7 +361,7 @@ export function updateStatsPanel(onExamClick) {
       weakList.innerHTML = '<div style="padding:8px;color:var(--text2);">Няма данни</div>';
     } else {
       weakList.innerHTML = weakPoints.map(({ qid, count }) =>
-        `<div class="weak-item"><span>Q${qid}</span><span>${count}x</span></div>`
+        `<div class="weak-item"><span class="qid-link" data-qid="${qid}" role="button">Q${qid}</span><span>${count}x</span></div>`
       ).join('');
     }
   }
@@ -200,6 +386,12 @@ export function updateStatsPanel(onExamClick) {
     drawHistoryChart(canvas);
   }
 
+  // Update per-topic mastery dashboard
+  updateTopicBreakdown();
+
+  // Update confidence calibration
+  updateCalibrationView();
+
   // Update flagged list
   updateFlaggedList();
 
@@ -231,6 +423,113 @@ export function formatExamResult(stats, total) {
   };
 }
 
+/**
+ * Update per-topic mastery dashboard in stats panel
+ */
+export function updateTopicBreakdown() {
+  const list = $('topicBreakdownList');
+  if (!list) return;
+
+  const breakdown = getTopicBreakdown();
+
+  if (breakdown.length === 0) {
+    list.innerHTML = `<div style="padding:8px;color:var(--text2);">${MESSAGES.BG.NO_TOPIC_DATA}</div>`;
+    return;
+  }
+
+  const trendIcons = { up: '▲', down: '▼', flat: '▶' };
+
+  list.innerHTML = breakdown.map(t => {
+    const passed = t.pct >= EXAM_CONFIG.PASS_THRESHOLD;
+    const count = t.questionIds.length;
+
+    // Level distribution as a stacked bar (unseen first, mastered last)
+    const segments = [
+      { cls: 'unseen', n: t.unseen, label: 'Нови' },
+      ...t.levels.map((n, level) => ({ cls: `level-${level}`, n, label: `Ниво ${level}` }))
+    ].filter(seg => seg.n > 0);
+
+    return `
+      <div class="topic-item">
+        <div class="topic-row">
+          <span>${escapeHtml(t.title)}${t.weight !== null ? ` <small>(${t.weight}%)</small>` : ''}</span>
+          <span class="${t.total ? (passed ? 'passed' : 'failed') : ''}">
+            ${t.total ? `${t.pct}% <small>(${t.correct}/${t.total})</small>` : MESSAGES.BG.NO_DATA}
+            ${t.trend ? `<span class="trend ${t.trend}">${trendIcons[t.trend]}</span>` : ''}
+          </span>
+        </div>
+        <div class="topic-levels">
+          ${segments.map(seg =>
+            `<div class="topic-level ${seg.cls}" style="flex:${seg.n}" title="${seg.label}: ${seg.n}"></div>`
+          ).join('')}
+        </div>
+        <div class="topic-row topic-meta">
+          <small>${count} въпр. • ⏱️ ${t.avgTime ? `${t.avgTime}s` : MESSAGES.BG.NO_DATA} • 🆕 ${t.unseen}</small>
+          <button class="topic-practice-btn" data-topic="${t.topic}">🎯 Упражнявай</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Update confidence calibration view in stats panel
+ */
+export function updateCalibrationView() {
+  const view = $('calibrationView');
+  const reviewBtn = $('reviewCalibrationBtn');
+  if (!view) return;
+
+  const cal = getCalibration();
+  const answered = cal.sure.total + cal.notSure.total + cal.dontKnow.total;
+
+  if (reviewBtn) {
+    reviewBtn.disabled = cal.overconfident.length === 0;
+    reviewBtn.textContent = `⚡ Преговори самоуверени грешки (${cal.overconfident.length})`;
+  }
+
+  if (answered === 0) {
+    view.innerHTML = `<div style="padding:8px;color:var(--text2);">${MESSAGES.BG.NO_CALIBRATION_DATA}</div>`;
+    return;
+  }
+
+  const trendIcons = { up: '▲', down: '▼', flat: '▶' };
+  const levelRow = (label, b) => `
+    <div class="calibration-row">
+      <span>${label} <small>(${b.total})</small></span>
+      <div class="calibration-bar"><div style="width:${b.pct}%"></div></div>
+      <span>${b.total ? `${b.pct}%` : MESSAGES.BG.NO_DATA}</span>
+    </div>
+  `;
+
+  const recent = cal.sessions.slice(-TOPIC_CONFIG.TREND_SESSIONS * 2).reverse();
+
+  view.innerHTML = `
+    ${levelRow(MESSAGES.BG.CALIBRATION_SURE, cal.sure)}
+    ${levelRow(MESSAGES.BG.CALIBRATION_NOT_SURE, cal.notSure)}
+    ${levelRow(MESSAGES.BG.CALIBRATION_DONT_KNOW, cal.dontKnow)}
+    <p class="calibration-hint">${MESSAGES.BG.CALIBRATION_HINT}</p>
+    <p class="calibration-hint">
+      ${MESSAGES.BG.CALIBRATION_OVER_TIME}
+      ${cal.trend ? `<span class="trend ${cal.trend}">${trendIcons[cal.trend]}</span>` : ''}
+    </p>
+    ${recent.map(session => `
+      <div class="weak-item">
+        <span>${new Date(session.date).toLocaleDateString('bg-BG', { day: '2-digit', month: '2-digit' })}</span>
+        <span>💪 ${session.sure.total ? `${session.sure.pct}%` : MESSAGES.BG.NO_DATA}
+          • ⚠️ ${session.notSure.total ? `${session.notSure.pct}%` : MESSAGES.BG.NO_DATA}
+          • ⚡ ${session.overconfident}</span>
+      </div>
+    `).join('')}
+    ${cal.overconfident.length ? `
+    <p class="calibration-hint"><strong>⚡ ${MESSAGES.BG.OVERCONFIDENT}</strong></p>
+    ${cal.overconfident.slice(0, 10).map(({ qid, count }) =>
+      `<div class="weak-item"><span class="qid-link" data-qid="${qid}" role="button">Q${qid}</span><span>${count}x</span></div>`
+    ).join('')}
+    ` : ''}
+  `;
+}
+
 /**
  * Update flagged questions list in stats panel
  */
@@ -245,7 +544,7 @@ export function updateFlaggedList() {
     flaggedList.innerHTML = '<div style="padding:8px;color:var(--text2);">Няма флагнати въпроси</div>';
   } else {
     flaggedList.innerHTML = flaggedIds.map(qid =>
-      `<div class="weak-item"><span>Q${qid}</span><span>🚩</span></div>`
+      `<div class="weak-item"><span class="qid-link" data-qid="${qid}" role="button">Q${qid}</span><span>🚩</span></div>`
     ).join('');
   }
 
@@ -283,7 +582,7 @@ export function updateExamHistoryList(onExamClick) {
     });
     const passed = exam.results.pct >= EXAM_CONFIG.PASS_THRESHOLD;
     const modeClass = exam.mode || 'exam';
-    const modeLabel = exam.mode === 'learning' ? 'L' : exam.mode === 'smart' ? 'S' : 'E';
+    const modeLabel = { learning: 'L', smart: 'S', mock: 'M' }[exam.mode] || 'E';
 
     return `
       <div class="exam-history-item" data-exam-id="${exam.id}">
@@ -329,19 +628,36 @@ export function renderExamDetails(examId) {
 
   const passed = exam.results.pct >= EXAM_CONFIG.PASS_THRESHOLD;
   const duration = exam.duration ? Math.floor(exam.duration / 60) : 0;
-  const modeLabels = { learning: '📚 Learning', exam: '📝 Exam', smart: '🧠 Smart' };
+  const modeLabels = {
+    learning: MESSAGES.BG.MODE_LEARNING,
+    exam: MESSAGES.BG.MODE_EXAM,
+    smart: MESSAGES.BG.MODE_SMART,
+    mock: MESSAGES.BG.MODE_MOCK
+  };
 
   let questionsHtml = '';
   if (exam.questions && exam.questions.length) {
     questionsHtml = `
       <h4 style="margin:16px 0 8px;">Въпроси:</h4>
       <div class="exam-details-questions">
-        ${exam.questions.map(q => `
-          <div class="exam-details-q ${q.correct ? 'correct' : 'wrong'}">
-            <span>Q${q.qid}</span>
-            <span>${q.correct ? '✅' : '❌'} ${q.answer}</span>
-          </div>
-        `).join('')}
+        ${exam.questions.map(q => {
+          const question = getQuestion(q.qid);
+          return `
+          <details class="exam-details-q ${q.correct ? 'correct' : 'wrong'}">
+            <summary>
+              <span class="qid-link" data-qid="${q.qid}" role="button">Q${q.qid}</span>
+              <span>${q.correct ? '✅' : q.score > 0 ? '◐' : '❌'} ${toAnswerList(q.answer).join(', ') || '—'}</span>
+            </summary>
+            ${question ? `
+            <div class="exam-details-body">
+              <p>${escapeHtml(question.question)}</p>
+              <p>✅ ${escapeHtml(getCorrectText(q.qid))}</p>
+              ${buildExplanationHtml(question, q.answer)}
+            </div>
+            ` : ''}
+          </details>
+        `;
+        }).join('')}
       </div>
     `;
   }
@@ -362,7 +678,7 @@ export function renderExamDetails(examId) {
         <div class="label">Време</div>
       </div>
       <div class="exam-details-stat">
-        <div class="value">${exam.examIndex !== undefined ? 'Изпит ' + (exam.examIndex + 1) : '-'}</div>
+        <div class="value">${exam.examIndex != null ? 'Изпит ' + (exam.examIndex + 1) : '-'}</div>
         <div class="label">Изпит</div>
       </div>
     </div>
@@ -370,4 +686,88 @@ export function renderExamDetails(examId) {
   `;
 
   modal.classList.add('show');
-}
\ No newline at end of file
+}
+
+/**
+ * Render question detail modal: question, answers, attempt timeline,
+ * note, flag and spaced-repetition state
+ * @param {number} qid - Question ID
+ * @returns {boolean} - False if the question isn't loaded
+ */
+export function renderQuestionDetail(qid) {
+  const question = getQuestion(qid);
+  const body = $('questionDetailBody');
+  if (!question || !body) return false;
+
+  const meta = getQuestionMeta(qid);
+  const card = getCard(qid);
+  const attempts = getAttempts(qid);
+  const wrongCount = getState().wrongCounts[qid] || 0;
+
+  const formatDate = ts => new Date(ts).toLocaleDateString('bg-BG', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const answersHtml = Object.entries(question.answers).map(([letter, text]) => `
+    <div class="detail-answer ${question.correct.includes(letter) ? 'correct' : ''}">
+      <strong>${escapeHtml(letter)}.</strong> ${escapeHtml(text)} ${question.correct.includes(letter) ? '✅' : ''}
+    </div>
+  `).join('');
+
+  const srHtml = card.seenCount ? `
+    <div class="exam-details-summary">
+      <div class="exam-details-stat">
+        <div class="value">${card.level}/${SPACED_REP_CONFIG.MAX_LEVEL}</div>
+        <div class="label">SR ниво</div>
+      </div>
+      <div class="exam-details-stat">
+        <div class="value">${card.interval}д</div>
+        <div class="label">Интервал • ease ${card.ease}</div>
+      </div>
+      <div class="exam-details-stat">
+        <div class="value">${new Date(card.due).toLocaleDateString('bg-BG', { day: '2-digit', month: '2-digit' })}</div>
+        <div class="label">Следващ преговор</div>
+      </div>
+      <div class="exam-details-stat">
+        <div class="value">${card.lapses} / ${wrongCount}</div>
+        <div class="label">Забравяния / грешки</div>
+      </div>
+    </div>
+  ` : `<p style="color:var(--text2);">🆕 Още не е упражняван в Smart/Learning</p>`;
+
+  const timelineHtml = attempts.length
+    ? [...attempts].reverse().map(a => `
+      <div class="weak-item attempt-item ${a.correct ? 'correct' : 'wrong'}">
+        <span>${formatDate(a.date)} • ${getRoundLabel(a.mode, a.roundType, null)}</span>
+        <span>
+          ${a.correct ? '✅' : a.score > 0 ? '◐' : '❌'} ${toAnswerList(a.answer).join(', ') || '—'}
+          ${a.dontKnow ? '❓' : a.notSure ? '⚠️' : ''}
+          <small>${a.time ? `${a.time}s` : ''}</small>
+        </span>
+      </div>
+    `).join('')
+    : '<div style="padding:8px;color:var(--text2);">Няма записани опити</div>';
+
+  setText('questionDetailTitle', `🔎 Q${qid}`);
+  body.dataset.qid = qid;
+  body.innerHTML = `
+    <p>${escapeHtml(question.question)}</p>
+    <div class="detail-answers">${answersHtml}</div>
+    ${buildExplanationHtml(question)}
+    <div class="detail-meta">
+      <button id="detailFlagBtn" class="flag-btn ${meta.flagged ? 'flagged' : ''}" aria-label="Флагни въпроса">🚩</button>
+      <button id="detailEditBtn" class="flag-btn" aria-label="Редактирай въпроса">✏️</button>
+      <span id="detailNote" class="${meta.note ? '' : 'faded-text'}"></span>
+    </div>
+    ${srHtml}
+    <h4 style="margin:16px 0 8px;">История на опитите (${attempts.length}):</h4>
+    <div class="exam-details-questions">${timelineHtml}</div>
+  `;
+  setText('detailNote', `📝 ${meta.note || 'Няма бележка'}`);
+
+  return true;
+}
@@ -1,19 +1,50 @@
 /**
- * Firebase Storage & Sync Module
- * Real-time синхронизация с Firebase
+ * Storage & Sync Module
+ * Локално хранилище (IndexedDB) и real-time реплика в облака
  */
 
-import { FIREBASE_CONFIG, STORAGE_KEYS, SYNC_STATUS, DELAYS } from './config.js';
+import { STORAGE_KEYS, SYNC_STATUS, DELAYS, DISPUTE_CONFIG, SYNC_CONFIG, PROFILE_CONFIG } from './config.js';
 import { 
-  getAllData, applyData, setSyncId, getSyncId,
+  getAllData, applyData, replaceAllData, setSyncId, getSyncId,
   setOnline, setSaving, isSaving, 
   setLastCloudTimestamp, getLastCloudTimestamp 
 } from './state.js';
-import { $, debounce, generateId } from './utils.js';
+import { $, debounce } from './utils.js';
+import { readRecord, writeRecord } from './localdb.js';
+import { mergeData } from './merge.js';
+import { createBackend, isBackendConfigured } from './backend.js';
+import {
+  generateSecureId, deriveProfileKey, isProfileKey, getProfileStorageId,
+  isEncrypted, encryptData, decryptData, deriveVoterId, createSigningKey
+} from './cipher.js';
 
-// Firebase references
-let db = null;
-let dataRef = null;
+/**
+ * @typedef {Object} ProfilePreview
+ * @property {boolean} ok
+ * @property {'unavailable'|'not-found'|'wrong-passphrase'} [error]
+ * @property {string} [syncId]
+ * @property {string|null} [key] - Null for profiles without a passphrase
+ * @property {Object} [data] - Decrypted profile data
+ */
+
+// Cloud saves retried when another device writes in between
+const CLOUD_SAVE_RETRIES = 5;
+
+// Sync backend (null until connected) and active subscriptions
+let backend = null;
+let unsubscribeData = null;
+let unsubscribeDisputes = null;
+
+// Current profile: key of a passphrase-protected profile (null = plain) and its backend path
+let profileKey = null;
+let profilePath = null;
+
+// Local changes not yet replicated to the cloud
+let hasPendingChanges = false;
+let changeVersion = 0;
+
+// Initial cloud load finished (reconnects flush pending changes)
+let cloudReady = false;
 
 // UI update callback
 let onDataChangeCallback = null;
@@ -32,7 +63,7 @@ function setSyncStatus(icon) {
  * @returns {string}
  */
 function generateSyncId() {
-  return generateId('ivan');
+  return generateSecureId(SYNC_CONFIG.ID_PREFIX);
 }
 
 /**
@@ -49,19 +80,175 @@ function getOrCreateSyncId() {
 }
 
 /**
- * Save data to Firebase
+ * Switch to a profile and remember it on this device
+ * @param {string} syncId
+ * @param {string|null} key - Profile key, null for profiles without a passphrase
+ * @returns {Promise<void>}
+ */
+async function setProfile(syncId, key) {
+  setSyncId(syncId);
+  localStorage.setItem(STORAGE_KEYS.SYNC_ID, syncId);
+  if (key) {
+    localStorage.setItem(STORAGE_KEYS.SYNC_KEY, key);
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.SYNC_KEY);
+  }
+
+  profileKey = key;
+  profilePath = userPath(key ? await getProfileStorageId(key) : syncId);
+
+  // Update UI
+  const syncIdInput = $('currentSyncId');
+  if (syncIdInput) syncIdInput.value = syncId;
+}
+
+// ============ LOCAL STORE ============
+
+/**
+ * Save all data on this device (source of truth)
+ * @returns {Promise<void>}
+ */
+async function saveLocal() {
+  const syncId = getSyncId();
+  if (!syncId) return;
+
+  try {
+    await writeRecord(syncId, {
+      data: getAllData(),
+      pending: hasPendingChanges,
+      cloudTimestamp: getLastCloudTimestamp()
+    });
+  } catch (error) {
+    console.error('Local save error:', error);
+  }
+}
+
+/**
+ * Load data saved on this device (before any cloud call)
+ * @returns {Promise<boolean>} - True if local data was found
+ */
+export async function initLocalStore() {
+  const syncId = getOrCreateSyncId();
+  const key = localStorage.getItem(STORAGE_KEYS.SYNC_KEY);
+  await setProfile(syncId, isProfileKey(key) ? key : null);
+
+  try {
+    const record = await readRecord(syncId);
+    if (!record?.data) return false;
+
+    applyData(record.data);
+    setLastCloudTimestamp(record.cloudTimestamp || 0);
+    hasPendingChanges = !!record.pending;
+    console.log('💾 Loaded data from device');
+    return true;
+  } catch (error) {
+    console.error('Local load error:', error);
+    return false;
+  }
+}
+
+/**
+ * Write pending changes right away (e.g. when the page is hidden)
+ */
+export function flushLocal() {
+  if (hasPendingChanges) saveLocal();
+}
+
+// ============ CLOUD REPLICA ============
+
+/**
+ * Notify UI that data changed outside of it
+ */
+function notifyDataChange() {
+  if (typeof onDataChangeCallback === 'function') {
+    onDataChangeCallback();
+  }
+}
+
+/**
+ * Get the backend path of a profile's data
+ * @param {string} syncId
+ * @returns {string}
+ */
+function userPath(syncId) {
+  return 'users/' + syncId;
+}
+
+/**
+ * Listen to data of the current profile
+ */
+function subscribeUserData() {
+  if (unsubscribeData) unsubscribeData();
+  unsubscribeData = backend.subscribe(profilePath, onCloudDataChange);
+}
+
+/**
+ * Read profile data as stored on the backend
+ * @param {*} value - Stored value (plain, encrypted or a "protected" marker)
+ * @param {string|null} [key] - Profile key
+ * @returns {Promise<Object|null>}
+ * @throws {Error} - Wrong key, or the profile needs a passphrase
+ */
+async function decodeProfile(value, key = profileKey) {
+  if (!value) return null;
+  if (value.protected) throw new Error('Profile was protected with a passphrase');
+  if (isEncrypted(value) !== !!key) throw new Error('Profile key does not match');
+  return key ? decryptData(value, key) : value;
+}
+
+/**
+ * Prepare profile data for the backend (encrypted when protected)
+ * @param {Object} data
+ * @returns {Promise<Object>}
+ */
+async function encodeProfile(data) {
+  return profileKey ? encryptData(data, profileKey) : data;
+}
+
+/**
+ * Save data to the cloud.
+ * If another device saved since we last synced, both versions are merged
+ * instead of overwriting theirs. The write only goes through if the stored
+ * value is still the one we merged with (encryption can't run inside a transaction).
  * @returns {Promise<void>}
  */
 async function saveToCloud() {
-  if (!dataRef || isSaving()) return;
+  if (!backend || isSaving()) return;
   
   setSaving(true);
   setSyncStatus(SYNC_STATUS.SYNCING);
+  const version = changeVersion;
+  const lastSynced = getLastCloudTimestamp();
+  const path = profilePath;
   
   try {
-    const data = getAllData();
-    await dataRef.set(data);
+    let data = null;
+
+    for (let attempt = 0; !data; attempt++) {
+      if (attempt === CLOUD_SAVE_RETRIES) throw new Error('Cloud data kept changing');
+
+      const stored = await backend.load(path);
+      const cloud = await decodeProfile(stored);
+      const merged = !!cloud?.timestamp && cloud.timestamp > lastSynced;
+      const next = merged ? mergeData(getAllData(), cloud) : getAllData();
+      const value = await encodeProfile(next);
+
+      let written = false;
+      await backend.transact(path, (current) => {
+        written = (current?.timestamp ?? null) === (stored?.timestamp ?? null);
+        return written ? value : undefined;
+      });
+      if (!written) continue;
+
+      if (merged) {
+        // Keep anything changed locally while the save ran
+        applyData(mergeData(getAllData(), next));
+        notifyDataChange();
+      }
+      data = next;
+    }
     setLastCloudTimestamp(data.timestamp);
+    if (version === changeVersion) hasPendingChanges = false;
     setSyncStatus(SYNC_STATUS.CONNECTED);
     console.log('☁️ Saved to cloud');
   } catch (error) {
@@ -70,174 +257,269 @@ async function saveToCloud() {
   } finally {
     setSaving(false);
   }
+
+  await saveLocal();
+
+  // Changed while the save was in flight
+  if (hasPendingChanges && version !== changeVersion) debouncedSave();
+}
+
+/**
+ * Save locally, then replicate to the cloud
+ * @returns {Promise<void>}
+ */
+async function persist() {
+  await saveLocal();
+  await saveToCloud();
 }
 
 /**
  * Debounced save function
  */
-const debouncedSave = debounce(saveToCloud, DELAYS.SAVE_DEBOUNCE);
+const debouncedSave = debounce(persist, DELAYS.SAVE_DEBOUNCE);
 
 /**
- * Handle incoming data changes from Firebase
- * @param {Object} snapshot - Firebase snapshot
+ * Handle incoming data changes from the cloud
+ * @param {Object|null} value - Stored profile value
+ * @returns {Promise<void>}
  */
-function onCloudDataChange(snapshot) {
+async function onCloudDataChange(value) {
   if (isSaving()) return; // Ignore our own saves
   
-  const data = snapshot.val();
-  if (!data) return;
+  // Only decode if cloud data is newer (the timestamp is readable without the key)
+  if (!value?.timestamp || value.timestamp <= getLastCloudTimestamp()) return;
+
+  const path = profilePath;
+  let data;
+  try {
+    data = await decodeProfile(value);
+  } catch (error) {
+    console.error('Cloud data error:', error);
+    setSyncStatus(SYNC_STATUS.ERROR);
+    return;
+  }
+
+  // Profile switched or a save started while decrypting
+  if (path !== profilePath || isSaving()) return;
   
-  // Only apply if cloud data is newer
-  if (data.timestamp && data.timestamp > getLastCloudTimestamp()) {
+  if (data.timestamp > getLastCloudTimestamp()) {
     console.log('📥 Received update from cloud');
-    applyData(data);
+
+    if (hasPendingChanges) {
+      // Both devices changed: merge, the debounced save replicates the result
+      applyData(mergeData(getAllData(), data));
+      setLastCloudTimestamp(data.timestamp);
+      debouncedSave();
+    } else {
+      applyData(data);
+    }
+    saveLocal();
     
     // Notify UI to update
-    if (typeof onDataChangeCallback === 'function') {
-      onDataChangeCallback();
-    }
+    notifyDataChange();
   }
 }
 
 /**
- * Initialize Firebase connection
+ * Connect to the sync backend chosen in SYNC_CONFIG
  * @param {Function} onDataChange - Callback when data changes
  * @returns {Promise<void>}
  */
-export async function initFirebase(onDataChange) {
+export async function initCloud(onDataChange) {
   onDataChangeCallback = onDataChange;
   setSyncStatus(SYNC_STATUS.LOADING);
   
   try {
-    // Check if Firebase is available
-    if (typeof firebase === 'undefined') {
-      console.warn('Firebase SDK not loaded');
-      setSyncStatus(SYNC_STATUS.ERROR);
+    // Server not set up (no config.json) - say so instead of looking offline
+    if (!isBackendConfigured()) {
+      console.warn('Sync is not configured, see config.example.json');
+      setSyncStatus(SYNC_STATUS.NOT_CONFIGURED);
       return;
     }
-    
-    // Initialize Firebase app
-    if (!firebase.apps.length) {
-      firebase.initializeApp(FIREBASE_CONFIG);
+
+    // No backend, or not reachable (e.g. offline) - data stays on the device
+    const candidate = createBackend();
+    if (!candidate || !await candidate.connect()) {
+      setSyncStatus(SYNC_STATUS.OFFLINE);
+      return;
     }
-    db = firebase.database();
-    
-    // Get or create sync ID
-    const syncId = getOrCreateSyncId();
-    setSyncId(syncId);
-    
-    // Update UI with current sync ID
-    const syncIdInput = $('currentSyncId');
-    if (syncIdInput) syncIdInput.value = syncId;
-    
-    // Set up database reference
-    dataRef = db.ref('users/' + syncId);
+    backend = candidate;
     
     // Monitor connection status
-    db.ref('.info/connected').on('value', (snap) => {
-      const online = snap.val() === true;
+    backend.watchConnection((online) => {
       setOnline(online);
       
       if (online) {
-        console.log('🔥 Firebase connected!');
+        console.log(`🔥 Sync connected (${backend.name})`);
         setSyncStatus(SYNC_STATUS.CONNECTED);
+
+        // Replicate changes made while offline
+        if (cloudReady && hasPendingChanges) saveToCloud();
       } else {
-        console.log('📡 Firebase disconnected');
+        console.log('📡 Sync disconnected');
         setSyncStatus(SYNC_STATUS.OFFLINE);
       }
     });
     
-    // Listen for real-time updates
-    dataRef.on('value', onCloudDataChange);
+    // Listen for real-time updates (sync ID comes from the local store)
+    subscribeUserData();
     
-    // Initial load
-    const snapshot = await dataRef.once('value');
-    if (snapshot.exists()) {
-      applyData(snapshot.val());
-      console.log('📥 Loaded data from cloud');
-    } else {
-      // First time - save current data
+    // Initial load: local changes made offline go up, otherwise take newer cloud data
+    const data = await decodeProfile(await backend.load(profilePath));
+    if (!data || hasPendingChanges) {
       await saveToCloud();
+    } else if ((data.timestamp || 0) > getLastCloudTimestamp()) {
+      applyData(data);
+      await saveLocal();
+      console.log('📥 Loaded data from cloud');
     }
+    cloudReady = true;
     
   } catch (error) {
-    console.error('Firebase init error:', error);
+    console.error('Sync init error:', error);
     setSyncStatus(SYNC_STATUS.ERROR);
   }
 }
 
 /**
- * Save all data (triggers debounced cloud save)
+ * Save all data (debounced: device first, then the cloud replica)
  */
 export function saveAll() {
+  hasPendingChanges = true;
+  changeVersion++;
   debouncedSave();
 }
 
 /**
- * Connect to different sync ID
- * @param {string} newSyncId - New sync ID to connect to
- * @returns {Promise<boolean>} - Success status
+ * Load another profile without applying it (shown for confirmation first)
+ * @param {string} syncId - Sync ID of the profile
+ * @param {{passphrase?: string, key?: string}} [secret] - Passphrase, or the key from a pairing link
+ * @returns {Promise<ProfilePreview>}
  */
-export async function connectToSyncId(newSyncId) {
-  if (!newSyncId || !db) return false;
-  
+export async function previewProfile(syncId, { passphrase = '', key = null } = {}) {
+  if (!syncId || !backend) return { ok: false, error: 'unavailable' };
+
   try {
-    // Remove old listener
-    if (dataRef) dataRef.off();
-    
-    // Update sync ID
-    setSyncId(newSyncId);
-    localStorage.setItem(STORAGE_KEYS.SYNC_ID, newSyncId);
-    
-    // Update UI
-    const syncIdInput = $('currentSyncId');
-    if (syncIdInput) syncIdInput.value = newSyncId;
-    
-    // Set up new reference and listener
-    dataRef = db.ref('users/' + newSyncId);
-    dataRef.on('value', onCloudDataChange);
-    
-    // Load data from new sync ID
-    const snapshot = await dataRef.once('value');
-    if (snapshot.exists()) {
-      applyData(snapshot.val());
-      return true;
+    const candidateKey = key || (passphrase ? await deriveProfileKey(syncId, passphrase) : null);
+    const path = userPath(candidateKey ? await getProfileStorageId(candidateKey) : syncId);
+
+    // A wrong passphrase points to another path - usually nothing is there
+    const value = await backend.load(path);
+    if (!value) return { ok: false, error: candidateKey ? 'wrong-passphrase' : 'not-found' };
+
+    let data;
+    try {
+      data = await decodeProfile(value, candidateKey);
+    } catch {
+      return { ok: false, error: 'wrong-passphrase' };
     }
-    
-    return false;
+
+    return { ok: true, syncId, key: candidateKey, data };
   } catch (error) {
-    console.error('Connect error:', error);
-    return false;
+    console.error('Profile load error:', error);
+    return { ok: false, error: 'unavailable' };
   }
 }
 
+/**
+ * Switch to a previewed profile, replacing local data
+ * @param {ProfilePreview} preview - Successful preview
+ * @returns {Promise<void>}
+ */
+export async function connectToProfile({ syncId, key, data }) {
+  await setProfile(syncId, key);
+  replaceAllData(data);
+  setLastCloudTimestamp(data.timestamp || 0);
+  hasPendingChanges = false;
+
+  // Listen to the new profile
+  if (backend) subscribeUserData();
+  await saveLocal();
+}
+
 /**
  * Create new sync profile
+ * @param {string} [passphrase] - Encrypts the cloud copy
  * @returns {Promise<string>} - New sync ID
  */
-export async function createNewProfile() {
-  // Remove old listener
-  if (dataRef) dataRef.off();
-  
+export async function createNewProfile(passphrase = '') {
   // Generate new sync ID
   const newSyncId = generateSyncId();
-  setSyncId(newSyncId);
-  localStorage.setItem(STORAGE_KEYS.SYNC_ID, newSyncId);
+  await setProfile(newSyncId, passphrase ? await deriveProfileKey(newSyncId, passphrase) : null);
   
-  // Update UI
-  const syncIdInput = $('currentSyncId');
-  if (syncIdInput) syncIdInput.value = newSyncId;
-  
-  // Set up new reference
-  dataRef = db.ref('users/' + newSyncId);
-  dataRef.on('value', onCloudDataChange);
+  // Listen to the new profile (offline it stays on this device until the next start)
+  if (backend) subscribeUserData();
   
   // Save empty state
-  await saveToCloud();
+  hasPendingChanges = true;
+  await persist();
   
   return newSyncId;
 }
 
+/**
+ * Protect the current profile with a passphrase.
+ * Data moves to an encrypted copy; the plain copy is replaced by a marker,
+ * so devices still using it stop syncing until they connect with the passphrase.
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function protectProfile(passphrase) {
+  if (!backend || profileKey) return false;
+
+  const syncId = getSyncId();
+  const plainPath = profilePath;
+
+  try {
+    await setProfile(syncId, await deriveProfileKey(syncId, passphrase));
+    subscribeUserData();
+
+    hasPendingChanges = true;
+    changeVersion++;
+    await persist();
+    if (hasPendingChanges) throw new Error('Encrypted copy was not saved');
+
+    await backend.save(plainPath, { protected: true, timestamp: Date.now() });
+    return true;
+  } catch (error) {
+    console.error('Protect error:', error);
+    await setProfile(syncId, null);
+    subscribeUserData();
+    return false;
+  }
+}
+
+/**
+ * Check whether the current profile is protected with a passphrase
+ * @returns {boolean}
+ */
+export function isProfileProtected() {
+  return !!profileKey;
+}
+
+/**
+ * Get a link that connects another device to this profile (shown as a QR code)
+ * @returns {string|null} - Null for profiles without a passphrase
+ */
+export function getPairingLink() {
+  if (!profileKey) return null;
+  return `${location.origin}${location.pathname}#${PROFILE_CONFIG.PAIR_PARAM}=${getSyncId()}:${profileKey}`;
+}
+
+/**
+ * Read a pairing link from the URL hash
+ * @param {string} hash - e.g. location.hash
+ * @returns {{syncId: string, key: string}|null}
+ */
+export function readPairingLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const value = params.get(PROFILE_CONFIG.PAIR_PARAM) || '';
+  const separator = value.lastIndexOf(':');
+  const syncId = value.slice(0, separator);
+  const key = value.slice(separator + 1);
+  return separator > 0 && isProfileKey(key) ? { syncId, key } : null;
+}
+
 /**
  * Get current sync ID
  * @returns {string|null}
@@ -246,6 +528,120 @@ export function getCurrentSyncId() {
   return getSyncId();
 }
 
+// ============ SHARED DISPUTES ============
+
+/**
+ * Get the ID this profile votes under (public, unlike the sync ID)
+ * @returns {Promise<string|null>}
+ */
+export async function getVoterId() {
+  const syncId = getSyncId();
+  return syncId ? deriveVoterId(syncId) : null;
+}
+
+/**
+ * Move votes saved under the raw sync ID (older versions) to the voter ID
+ * @param {string} deckId - Deck ID
+ * @param {Object|Array|null} data - Raw disputes map
+ * @returns {Promise<void>}
+ */
+async function moveLegacyVotes(deckId, data) {
+  const syncId = getSyncId();
+  const legacy = Object.entries(data || {}).filter(([, entry]) => entry?.votes?.[syncId]);
+  if (!legacy.length) return;
+
+  const voterId = await getVoterId();
+  for (const [qid, entry] of legacy) {
+    const votes = `${DISPUTE_CONFIG.PATH}/${deckId}/${qid}/votes`;
+    try {
+      if (!entry.votes[voterId]) await backend.save(`${votes}/${voterId}`, entry.votes[syncId]);
+      await backend.save(`${votes}/${syncId}`, null);
+    } catch (error) {
+      console.error('Vote move error:', error);
+    }
+  }
+}
+
+/**
+ * Listen to disputes of a deck (shared by all sync profiles)
+ * @param {string} deckId - Deck ID
+ * @param {Function} onChange - Called with the raw disputes map
+ * @returns {boolean} - False if the backend is not available
+ */
+export function watchDisputes(deckId, onChange) {
+  if (unsubscribeDisputes) unsubscribeDisputes();
+  unsubscribeDisputes = null;
+  if (!backend) return false;
+
+  unsubscribeDisputes = backend.subscribe(`${DISPUTE_CONFIG.PATH}/${deckId}`, (value) => {
+    onChange(value || {});
+    moveLegacyVotes(deckId, value);
+  });
+  return true;
+}
+
+/**
+ * Save or withdraw this profile's vote on a question
+ * @param {string} deckId - Deck ID
+ * @param {number} qid - Question ID
+ * @param {Object|null} vote - Vote, null withdraws it
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveDisputeVote(deckId, qid, vote) {
+  if (!backend || !getSyncId()) return false;
+
+  try {
+    await backend.save(`${DISPUTE_CONFIG.PATH}/${deckId}/${qid}/votes/${await getVoterId()}`, vote);
+    return true;
+  } catch (error) {
+    console.error('Dispute save error:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the maintainer signing key of this device
+ * @returns {{privateKey: JsonWebKey, publicKey: string}|null}
+ */
+export function getMaintainerKey() {
+  try {
+    const key = JSON.parse(localStorage.getItem(STORAGE_KEYS.MAINTAINER_KEY));
+    return key?.privateKey && key.publicKey ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a maintainer signing key on this device (never synced)
+ * @returns {Promise<{privateKey: JsonWebKey, publicKey: string}>}
+ */
+export async function createMaintainerKey() {
+  const key = await createSigningKey();
+  localStorage.setItem(STORAGE_KEYS.MAINTAINER_KEY, JSON.stringify(key));
+  return key;
+}
+
+/**
+ * Save a maintainer decision on a disputed question
+ * (anyone can write one; clients only apply it if a maintainer key signed it)
+ * @param {string} deckId - Deck ID
+ * @param {number} qid - Question ID
+ * @param {Object} resolution - Dispute resolution
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveDisputeResolution(deckId, qid, resolution) {
+  if (!backend) return false;
+
+  try {
+    await backend.save(`${DISPUTE_CONFIG.PATH}/${deckId}/${qid}/resolution`, resolution);
+    return true;
+  } catch (error) {
+    console.error('Dispute resolution error:', error);
+    return false;
+  }
+}
+
 /**
  * Check if dark mode is enabled
  * @returns {boolean}
@@ -261,3 +657,58 @@ export function isDarkMode() {
 export function setDarkMode(enabled) {
   localStorage.setItem(STORAGE_KEYS.DARK_MODE, String(enabled));
 }
+
+/**
+ * Keep the in-progress session on this device
+ * @param {Object} snapshot - Session snapshot
+ */
+export function saveLocalSession(snapshot) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.ACTIVE_SESSION, JSON.stringify(snapshot));
+  } catch (error) {
+    console.error('Session save error:', error);
+  }
+}
+
+/**
+ * Load the in-progress session saved on this device
+ * @returns {Object|null}
+ */
+export function loadLocalSession() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.ACTIVE_SESSION)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep imported decks on this device (available before the cloud loads)
+ * @param {Object} decks - Imported decks by ID
+ */
+export function saveLocalCustomDecks(decks) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_DECKS, JSON.stringify(decks));
+  } catch (error) {
+    console.error('Custom decks save error:', error);
+  }
+}
+
+/**
+ * Load imported decks saved on this device
+ * @returns {Object}
+ */
+export function loadLocalCustomDecks() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOM_DECKS)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Forget the in-progress session on this device
+ */
+export function clearLocalSession() {
+  localStorage.removeItem(STORAGE_KEYS.ACTIVE_SESSION);
+}
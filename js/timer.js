@@ -38,12 +38,13 @@ function updateExamTimer() {
 /**
  * Start exam timer
  * @param {Function} onExpired - Callback when time expires
+ * @param {number} [elapsed=0] - Time already used (seconds), when resuming
  */
-export function startExamTimer(onExpired) {
+export function startExamTimer(onExpired, elapsed = 0) {
   stopExamTimer();
 
   onTimeExpiredCallback = onExpired;
-  setExamStartTime(Date.now());
+  setExamStartTime(Date.now() - elapsed * 1000);
 
   // Hide timer in learning and smart mode
   if (isLearningMode() || isSmartMode()) {
@@ -55,7 +56,7 @@ export function startExamTimer(onExpired) {
 
   const timerEl = $('timer');
   if (timerEl) {
-    timerEl.textContent = `Time: ${formatTime(EXAM_CONFIG.TIME_LIMIT_SECONDS)}`;
+    timerEl.textContent = `Time: ${formatTime(Math.max(EXAM_CONFIG.TIME_LIMIT_SECONDS - elapsed, 0))}`;
   }
 
   const interval = setInterval(updateExamTimer, 1000);
@@ -100,6 +101,14 @@ export function getExamElapsed() {
   return Math.floor((Date.now() - startTime) / 1000);
 }
 
+/**
+ * Get remaining exam time (in seconds)
+ * @returns {number}
+ */
+export function getExamRemaining() {
+  return Math.max(EXAM_CONFIG.TIME_LIMIT_SECONDS - getExamElapsed(), 0);
+}
+
 /**
  * Stop all timers
  */
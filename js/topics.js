@@ -0,0 +1,135 @@
+/**
+ * Topics Module
+ * Раздели от изпитната програма (blueprint) и класифициране на въпросите
+ */
+
+import { EXAM_CONFIG, TOPIC_CONFIG } from './config.js';
+import { getQuestion } from './state.js';
+
+/**
+ * Get blueprint domains of the active deck
+ * @returns {Array<{id: string, title: string, weight: number, keywords?: string[]}>}
+ */
+export function getBlueprint() {
+  return EXAM_CONFIG.BLUEPRINT;
+}
+
+/**
+ * Get display title for a topic ID
+ * @param {string} topicId
+ * @returns {string}
+ */
+export function getTopicTitle(topicId) {
+  if (topicId === TOPIC_CONFIG.OTHER_ID) return TOPIC_CONFIG.OTHER_TITLE;
+  return getBlueprint().find(d => d.id === topicId)?.title || topicId;
+}
+
+/**
+ * Escape a keyword for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Derive topics from blueprint keywords (fallback for untagged questions)
+ * @param {string} text - Question text
+ * @returns {string[]} - Best matching domain ID, or empty
+ */
+function deriveTopics(text) {
+  const lower = text.toLowerCase();
+  let best = null;
+  let bestHits = 0;
+
+  getBlueprint().forEach(domain => {
+    const hits = (domain.keywords || []).reduce((sum, keyword) => {
+      const pattern = new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`, 'g');
+      return sum + (lower.match(pattern)?.length || 0);
+    }, 0);
+
+    if (hits > bestHits) {
+      best = domain.id;
+      bestHits = hits;
+    }
+  });
+
+  return best ? [best] : [];
+}
+
+/**
+ * Get topics of a question (explicit tags first, keyword fallback second;
+ * answer texts decide when the question text names no domain)
+ * @param {number} qid - Question ID
+ * @returns {string[]}
+ */
+export function getQuestionTopics(qid) {
+  const question = getQuestion(qid);
+  if (!question) return [];
+
+  if (Array.isArray(question.topics) && question.topics.length) {
+    return question.topics;
+  }
+
+  const fromQuestion = deriveTopics(question.question);
+  if (fromQuestion.length) return fromQuestion;
+
+  return deriveTopics(Object.values(question.answers || {}).join(' '));
+}
+
+/**
+ * Get the domain a question counts towards in the blueprint
+ * @param {number} qid - Question ID
+ * @returns {string}
+ */
+export function getPrimaryTopic(qid) {
+  const domainIds = getBlueprint().map(d => d.id);
+  const topics = getQuestionTopics(qid);
+  return topics.find(t => domainIds.includes(t)) || topics[0] || TOPIC_CONFIG.OTHER_ID;
+}
+
+/**
+ * Group question IDs by primary topic
+ * @param {number[]} questionIds
+ * @returns {Map<string, number[]>}
+ */
+export function groupByTopic(questionIds) {
+  const groups = new Map();
+  questionIds.forEach(qid => {
+    const topic = getPrimaryTopic(qid);
+    if (!groups.has(topic)) groups.set(topic, []);
+    groups.get(topic).push(qid);
+  });
+  return groups;
+}
+
+/**
+ * Split a count across blueprint domains by weight (largest remainder)
+ * @param {number} count - Number of questions to distribute
+ * @returns {Map<string, number>} - Domain ID → question count
+ */
+export function apportionByWeight(count) {
+  const blueprint = getBlueprint();
+  const totalWeight = blueprint.reduce((sum, d) => sum + (d.weight || 0), 0);
+  const result = new Map();
+  if (!totalWeight) return result;
+
+  const shares = blueprint.map(d => {
+    const exact = count * (d.weight || 0) / totalWeight;
+    return { id: d.id, floor: Math.floor(exact), rest: exact - Math.floor(exact) };
+  });
+
+  let remaining = count - shares.reduce((sum, s) => sum + s.floor, 0);
+  [...shares]
+    .sort((a, b) => b.rest - a.rest)
+    .forEach(s => {
+      if (remaining > 0) {
+        s.floor++;
+        remaining--;
+      }
+    });
+
+  shares.forEach(s => result.set(s.id, s.floor));
+  return result;
+}
@@ -3,32 +3,42 @@
  * Рендериране и манипулация на интерфейса
  */
 
-import { MESSAGES, ROUND_TYPES, ROUND_TITLES, EXAM_CONFIG, MODES } from './config.js';
+import { MESSAGES, ROUND_TYPES, ROUND_TITLES, EXAM_CONFIG, MODES, BROWSER_CONFIG, SYNC_CONFIG, FIREBASE_CONFIG } from './config.js';
 import {
   getState, getCurrentQuestionId, getCurrentQuestion,
   getQuestionState, getAnswerOrder, getCorrectText,
   getCompletedExams, isLearningMode, isSmartMode, isExamMode,
-  getQuestionMeta
+  getQuestionMeta, isMultiSelect, hasImmediateFeedback, isMockMode,
+  getQuestion, getSpacedRepData, getQuestionOverrides
 } from './state.js';
-import { $, setText, setHtml, setStyle, toggleVisibility, addClass, removeClass, toggleClass, formatTimeVerbose, calcPercent } from './utils.js';
-import { ensureAnswerOrder, getAnsweredCount, computeStats } from './quiz.js';
+import { $, setText, setHtml, setStyle, toggleVisibility, addClass, removeClass, toggleClass, formatTime, formatTimeVerbose, calcPercent, toAnswerList, escapeHtml } from './utils.js';
+import { ensureAnswerOrder, getAnsweredCount, computeStats, computeSectionStats, getNavigatorSummary } from './quiz.js';
+import { getDisputeSummary, hasOpenDispute } from './disputes.js';
 
 // ============ PANEL VISIBILITY ============
 
 export function showSetupPanel() {
   toggleVisibility('setupPanel', true);
   toggleVisibility('examUI', false);
+  toggleVisibility('reviewScreen', false);
   toggleVisibility('resultsPanel', false);
 }
 
 export function showExamUI() {
   toggleVisibility('setupPanel', false);
   toggleVisibility('examUI', true);
+  toggleVisibility('reviewScreen', false);
   toggleVisibility('resultsPanel', false);
 }
 
+export function showReviewScreen() {
+  toggleVisibility('examUI', false);
+  toggleVisibility('reviewScreen', true);
+}
+
 export function showResultsPanel() {
   toggleVisibility('examUI', false);
+  toggleVisibility('reviewScreen', false);
   toggleVisibility('resultsPanel', true);
 }
 
@@ -40,6 +50,14 @@ export function hideStatsPanel() {
   toggleVisibility('statsPanel', false);
 }
 
+export function showBrowserPanel() {
+  toggleVisibility('browserPanel', true);
+}
+
+export function hideBrowserPanel() {
+  toggleVisibility('browserPanel', false);
+}
+
 export function showSyncModal() {
   addClass('syncModal', 'show');
 }
@@ -48,8 +66,129 @@ export function hideSyncModal() {
   removeClass('syncModal', 'show');
 }
 
+/**
+ * Show whether the profile is protected (pairing needs a passphrase)
+ * @param {boolean} isProtected
+ */
+export function renderProfileSecurity(isProtected) {
+  setText('profileSecurity', isProtected ? MESSAGES.BG.PROFILE_PROTECTED : MESSAGES.BG.PROFILE_UNPROTECTED);
+  toggleVisibility('protectProfileBtn', !isProtected);
+  toggleVisibility('pairQrBtn', isProtected);
+}
+
+/**
+ * Show or hide the pairing QR code
+ * @param {string|null} svg - QR code markup, null hides it
+ */
+export function renderPairingQr(svg) {
+  setHtml('pairQrCode', svg || '');
+  toggleVisibility('pairQr', !!svg);
+}
+
+/**
+ * Fill the sync settings form with the active config
+ * @param {boolean} configured - False shows that sync has no server to talk to
+ */
+export function renderSyncSettings(configured) {
+  toggleVisibility('syncNotConfigured', !configured);
+  if (!configured) $('syncSettings').open = true;
+
+  $('settingsBackend').value = SYNC_CONFIG.BACKEND;
+  $('settingsRestUrl').value = SYNC_CONFIG.REST_URL;
+  $('settingsWsUrl').value = SYNC_CONFIG.WS_URL;
+  $('settingsToken').value = SYNC_CONFIG.TOKEN;
+  $('settingsFirebase').value = Object.keys(FIREBASE_CONFIG).length
+    ? JSON.stringify(FIREBASE_CONFIG, null, 2)
+    : '';
+  $('settingsIdPrefix').value = SYNC_CONFIG.ID_PREFIX;
+}
+
+/**
+ * Read the changed sync settings as runtime config overrides
+ * (unchanged values keep following config.json)
+ * @returns {{SYNC_CONFIG: Object, FIREBASE_CONFIG?: Object}}
+ * @throws {SyntaxError} - Firebase config is not valid JSON
+ */
+export function readSyncSettings() {
+  const values = {
+    BACKEND: $('settingsBackend').value,
+    REST_URL: $('settingsRestUrl').value.trim().replace(/\/+$/, ''),
+    WS_URL: $('settingsWsUrl').value.trim(),
+    TOKEN: $('settingsToken').value.trim(),
+    ID_PREFIX: $('settingsIdPrefix').value.trim() || SYNC_CONFIG.ID_PREFIX
+  };
+
+  const settings = {
+    SYNC_CONFIG: Object.fromEntries(
+      Object.entries(values).filter(([key, value]) => value !== SYNC_CONFIG[key])
+    )
+  };
+
+  const firebaseJson = $('settingsFirebase').value.trim();
+  const firebaseConfig = firebaseJson ? JSON.parse(firebaseJson) : {};
+  if (JSON.stringify(firebaseConfig) !== JSON.stringify(FIREBASE_CONFIG)) settings.FIREBASE_CONFIG = firebaseConfig;
+
+  return settings;
+}
+
+/**
+ * Render what restoring a backup would change
+ * @param {{current: Object, replace: Object, merge: Object}} preview - Counts per field
+ * @param {string} createdAt - ISO date of the backup
+ */
+export function renderBackupPreview(preview, createdAt) {
+  setText('backupInfo', MESSAGES.BG.BACKUP_INFO(new Date(createdAt).toLocaleString('bg-BG')));
+
+  setHtml('backupTable', Object.entries(MESSAGES.BG.BACKUP_FIELDS).map(([field, label]) => {
+    const cell = value => `<td class="${value !== preview.current[field] ? 'changed' : ''}">${value}</td>`;
+    return `
+      <tr>
+        <td>${label}</td>
+        <td>${preview.current[field]}</td>
+        ${cell(preview.replace[field])}
+        ${cell(preview.merge[field])}
+      </tr>
+    `;
+  }).join(''));
+
+  toggleVisibility('backupPreview', true);
+}
+
+/**
+ * Clear the restore form
+ */
+export function resetBackupForm() {
+  $('backupFile').value = '';
+  setHtml('backupTable', '');
+  toggleVisibility('backupPreview', false);
+}
+
 // ============ SETUP PANEL ============
 
+/**
+ * Render deck picker options
+ * @param {Array<{id: string, title: string}>} decks - Registered decks
+ * @param {string} activeId - Active deck ID
+ */
+export function renderDeckPicker(decks, activeId) {
+  const select = $('deckSelect');
+  if (!select) return;
+
+  select.innerHTML = decks.map(d =>
+    `<option value="${escapeHtml(d.id)}" ${d.id === activeId ? 'selected' : ''}>${escapeHtml(d.title)}</option>`
+  ).join('');
+  toggleVisibility(select, decks.length > 1);
+}
+
+/**
+ * Show loading status while questions are fetched
+ */
+export function showLoadingStatus() {
+  const statusEl = $('loadStatus');
+  setText(statusEl, MESSAGES.BG.LOADING);
+  setStyle(statusEl, 'color', '');
+}
+
 /**
  * Update loading status
  * @param {number} count - Number of questions loaded
@@ -58,14 +197,16 @@ export function hideSyncModal() {
 export function updateLoadStatus(count, success) {
   const statusEl = $('loadStatus');
 
+  $('learningModeBtn').disabled = !success;
+  $('examModeBtn').disabled = !success;
+  $('smartModeBtn').disabled = !success;
+  $('mockModeBtn').disabled = !success;
+
   if (success) {
     setText(statusEl, MESSAGES.BG.LOADED(count));
     setStyle(statusEl, 'color', 'var(--success)');
     addClass('step1num', 'done');
     addClass('step2num', 'active');
-    $('learningModeBtn').disabled = false;
-    $('examModeBtn').disabled = false;
-    $('smartModeBtn').disabled = false;
     setText('modeDesc', MESSAGES.BG.CHOOSE_MODE);
   } else {
     setText(statusEl, MESSAGES.BG.ERROR_LOAD);
@@ -73,20 +214,60 @@ export function updateLoadStatus(count, success) {
   }
 }
 
+/**
+ * Render validation problems found while loading questions
+ * @param {Array<{index: number, number: number|null, severity: string, message: string}>} problems
+ * @param {Function} onDownload - Callback for the report download button
+ */
+export function renderLoadReport(problems, onDownload) {
+  const reportEl = $('loadReport');
+  if (!reportEl) return;
+
+  if (!problems.length) {
+    setHtml(reportEl, '');
+    toggleVisibility(reportEl, false);
+    return;
+  }
+
+  const errors = problems.filter(p => p.severity === 'error').length;
+  const warnings = problems.length - errors;
+
+  const items = problems.map(p => `
+    <div class="load-report-item ${p.severity}">
+      <span>${p.number !== null ? `Q${p.number}` : `#${p.index + 1}`}</span>
+      <span>${escapeHtml(p.message)}</span>
+    </div>
+  `).join('');
+
+  setHtml(reportEl, `
+    <details>
+      <summary>${MESSAGES.BG.LOAD_PROBLEMS(errors, warnings)}</summary>
+      <div class="load-report-list">${items}</div>
+      <button id="downloadReportBtn">${MESSAGES.BG.DOWNLOAD_REPORT}</button>
+    </details>
+  `);
+  toggleVisibility(reportEl, true);
+
+  $('downloadReportBtn')?.addEventListener('click', onDownload);
+}
+
 /**
  * Update mode selection UI
- * @param {'learning'|'exam'|'smart'} mode - Selected mode
+ * @param {'learning'|'exam'|'smart'|'mock'} mode - Selected mode
  */
 export function updateModeUI(mode) {
   toggleClass('learningModeBtn', 'selected', mode === 'learning');
   toggleClass('examModeBtn', 'selected', mode === 'exam');
   toggleClass('smartModeBtn', 'selected', mode === 'smart');
+  toggleClass('mockModeBtn', 'selected', mode === 'mock');
 
   let desc;
   if (mode === 'learning') {
     desc = MESSAGES.BG.MODE_DESC_LEARNING;
   } else if (mode === 'exam') {
     desc = MESSAGES.BG.MODE_DESC_EXAM;
+  } else if (mode === 'mock') {
+    desc = MESSAGES.BG.MODE_DESC_MOCK;
   } else {
     desc = MESSAGES.BG.MODE_DESC_SMART;
   }
@@ -96,11 +277,12 @@ export function updateModeUI(mode) {
   addClass('step2num', 'done');
   addClass('step3num', 'active');
 
-  // Show/hide smart stats
+  // Show/hide smart stats and mock options
   toggleVisibility('smartStats', mode === 'smart');
+  toggleVisibility('mockOptions', mode === 'mock');
 
   // Show/hide exam buttons based on mode
-  if (mode === 'smart') {
+  if (mode === 'smart' || mode === 'mock') {
     toggleVisibility('examButtons', false);
     toggleVisibility('examPlaceholder', false);
     toggleVisibility('reshuffleBtn', false);
@@ -153,6 +335,68 @@ export function updateSmartStats(smartStats) {
   setText('smartProgressText', `${smartStats.masteredPct}% овладени`);
 }
 
+/**
+ * Render the "Today" view
+ * @param {Object} summary - From smart.getTodaySummary()
+ * @param {{newPerDay: number, reviewsPerDay: number}} settings - Daily limits
+ */
+export function renderTodayPanel(summary, settings) {
+  setText('todayDue', summary.due);
+  setText('todayOverdue', summary.overdue);
+  setText('todayNew', summary.newCount);
+  setText('todayTime', summary.total ? formatTimeVerbose(summary.estimatedSeconds) : MESSAGES.BG.NO_DATA);
+  setText('todayStreak', MESSAGES.BG.TODAY_STREAK(summary.streak));
+  toggleClass($('todayOverdue').parentElement, 'has-overdue', summary.overdue > 0);
+
+  // Don't overwrite a limit while it is being edited
+  if (document.activeElement !== $('todayNewLimit')) $('todayNewLimit').value = settings.newPerDay;
+  if (document.activeElement !== $('todayReviewLimit')) $('todayReviewLimit').value = settings.reviewsPerDay;
+
+  const startBtn = $('todayStartBtn');
+  startBtn.disabled = summary.total === 0;
+  startBtn.textContent = summary.total
+    ? `▶️ Започни за днес (${summary.total})`
+    : MESSAGES.BG.TODAY_DONE;
+}
+
+/**
+ * Read daily limits from the "Today" view
+ * @returns {{newPerDay: number, reviewsPerDay: number}}
+ */
+export function readTodayLimits() {
+  return {
+    newPerDay: Math.max(0, parseInt($('todayNewLimit').value, 10) || 0),
+    reviewsPerDay: Math.max(0, parseInt($('todayReviewLimit').value, 10) || 0)
+  };
+}
+
+/**
+ * Show due count on the Smart button and as the app icon badge
+ * @param {number} count - Questions due today
+ */
+export function updateDueBadge(count) {
+  setText('smartDueBadge', count);
+  toggleVisibility('smartDueBadge', count > 0);
+
+  // App badge (installed PWA, where supported)
+  if ('setAppBadge' in navigator) {
+    const badge = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge();
+    badge?.catch(() => { });
+  }
+}
+
+/**
+ * Read mock exam options from the setup panel
+ * @returns {{weighted: boolean, avoidLast: number}}
+ */
+export function getMockOptions() {
+  const avoidLast = parseInt($('mockAvoidLast').value, 10);
+  return {
+    weighted: $('mockWeighted').checked,
+    avoidLast: Number.isNaN(avoidLast) ? EXAM_CONFIG.MOCK_AVOID_LAST : Math.max(0, avoidLast)
+  };
+}
+
 /**
  * Select exam button
  * @param {number} index - Exam index
@@ -177,6 +421,7 @@ export function resetSetupPanel() {
   removeClass('learningModeBtn', 'selected');
   removeClass('examModeBtn', 'selected');
   removeClass('smartModeBtn', 'selected');
+  removeClass('mockModeBtn', 'selected');
   removeClass('step2num', 'done');
   addClass('step2num', 'active');
   removeClass('step3num', 'done');
@@ -185,13 +430,507 @@ export function resetSetupPanel() {
   $('examPlaceholder').style.display = '';
   toggleVisibility('reshuffleBtn', false);
   toggleVisibility('smartStats', false);
+  toggleVisibility('mockOptions', false);
   toggleVisibility('examButtons', true);
   $('startBtn').disabled = true;
   setText('modeDesc', MESSAGES.BG.CHOOSE_MODE);
 }
 
+// ============ SESSION BUILDER ============
+
+/**
+ * Render topic checkboxes for the session builder
+ * @param {Array<{id: string, title: string}>} topics
+ */
+export function renderBuilderTopics(topics) {
+  setHtml('builderTopics', topics.map(t => `
+    <label><input type="checkbox" name="builderTopic" value="${escapeHtml(t.id)}"> ${escapeHtml(t.title)}</label>
+  `).join(''));
+}
+
+/**
+ * Render saved presets in the builder select
+ * @param {Array<{id: string, name: string}>} presets
+ * @param {string} [selectedId] - Preset to keep selected
+ */
+export function renderPresetOptions(presets, selectedId = '') {
+  setHtml('builderPresetSelect', [
+    '<option value="">— Шаблони —</option>',
+    ...presets.map(p =>
+      `<option value="${escapeHtml(p.id)}" ${p.id === selectedId ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+    )
+  ].join(''));
+}
+
+/**
+ * Read filters from the builder form
+ * @returns {Object} - Session filters
+ */
+export function readBuilderFilters() {
+  const num = (id, fallback) => {
+    const value = parseInt($(id).value, 10);
+    return Number.isNaN(value) ? fallback : value;
+  };
+
+  return {
+    idRanges: $('builderIdRanges').value.trim(),
+    topics: [...document.querySelectorAll('input[name="builderTopic"]:checked')].map(i => i.value),
+    flaggedOnly: $('builderFlagged').checked,
+    hasNote: $('builderHasNote').checked,
+    neverSeen: $('builderNeverSeen').checked,
+    minWrong: num('builderMinWrong', 0),
+    minLevel: num('builderMinLevel', 0),
+    maxLevel: num('builderMaxLevel', 5),
+    answeredBefore: $('builderAnsweredBefore').value,
+    size: Math.max(1, num('builderSize', 30)),
+    order: $('builderOrder').value,
+    mode: $('builderMode').value
+  };
+}
+
+/**
+ * Fill the builder form from filters
+ * @param {Object} filters - Session filters
+ */
+export function fillBuilderForm(filters) {
+  $('builderIdRanges').value = filters.idRanges;
+  $('builderFlagged').checked = filters.flaggedOnly;
+  $('builderHasNote').checked = filters.hasNote;
+  $('builderNeverSeen').checked = filters.neverSeen;
+  $('builderMinWrong').value = filters.minWrong;
+  $('builderMinLevel').value = filters.minLevel;
+  $('builderMaxLevel').value = filters.maxLevel;
+  $('builderAnsweredBefore').value = filters.answeredBefore;
+  $('builderSize').value = filters.size;
+  $('builderOrder').value = filters.order;
+  $('builderMode').value = filters.mode;
+
+  document.querySelectorAll('input[name="builderTopic"]').forEach(input => {
+    input.checked = filters.topics.includes(input.value);
+  });
+}
+
+/**
+ * Update matched question count on the builder start button
+ * @param {number} matched - Questions matching the filters
+ * @param {number} size - Requested session size
+ */
+export function updateBuilderCount(matched, size) {
+  setText('builderMatchCount', `${Math.min(matched, size)}/${matched}`);
+  $('builderStartBtn').disabled = matched === 0;
+}
+
+// ============ QUESTION BROWSER ============
+
+/**
+ * Render topic options for the question browser
+ * @param {Array<{id: string, title: string}>} topics
+ */
+export function renderBrowserTopics(topics) {
+  setHtml('browserTopic', [
+    '<option value="">Всички</option>',
+    ...topics.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.title)}</option>`)
+  ].join(''));
+}
+
+/**
+ * Read filters from the question browser
+ * @returns {Object} - Session filters
+ */
+export function readBrowserFilters() {
+  const num = (id, fallback) => {
+    const value = parseInt($(id).value, 10);
+    return Number.isNaN(value) ? fallback : value;
+  };
+  const topic = $('browserTopic').value;
+
+  return {
+    search: $('browserSearch').value,
+    topics: topic ? [topic] : [],
+    flaggedOnly: $('browserFlagged').checked,
+    hasNote: $('browserHasNote').checked,
+    retired: $('browserRetired').checked,
+    disputed: $('browserDisputed').checked,
+    minWrong: num('browserMinWrong', 0),
+    minLevel: num('browserMinLevel', 0),
+    maxLevel: num('browserMaxLevel', 5),
+    order: $('browserSort').value,
+    mode: $('browserMode').value
+  };
+}
+
+/**
+ * Render matching questions in the browser list
+ * @param {number[]} questionIds - Ordered matches
+ * @param {number} [limit] - How many to render
+ */
+export function renderBrowserList(questionIds, limit = BROWSER_CONFIG.PAGE_SIZE) {
+  const shown = questionIds.slice(0, limit);
+  const { wrongCounts } = getState();
+  const overrides = getQuestionOverrides();
+
+  setHtml('browserList', shown.length ? shown.map(qid => {
+    const question = getQuestion(qid);
+    const meta = getQuestionMeta(qid);
+    const wrong = wrongCounts[qid] || 0;
+    const correct = question.correct;
+
+    const answersHtml = Object.entries(question.answers).map(([letter, text]) => `
+      <div class="detail-answer ${correct.includes(letter) ? 'correct' : ''}">
+        <strong>${escapeHtml(letter)}.</strong> ${escapeHtml(text)} ${correct.includes(letter) ? '✅' : ''}
+      </div>
+    `).join('');
+
+    return `
+      <details class="browser-item">
+        <summary>
+          <strong>Q${qid}.</strong> ${escapeHtml(question.question)}
+          <span class="browser-tags">
+            ${question.retired ? '🗄️' : ''}${overrides[qid] ? '✏️' : ''}${hasOpenDispute(qid) ? '⚖️' : ''}${meta.flagged ? '🚩' : ''}${meta.note?.trim() ? '📝' : ''}
+            ${wrong ? `❌${wrong}` : ''} SR ${getSpacedRepData(qid).level}
+          </span>
+        </summary>
+        <div class="detail-answers">${answersHtml}</div>
+        ${question.explanation?.trim() ? `<p class="explanation-text">💡 ${escapeHtml(question.explanation)}</p>` : ''}
+        ${meta.note?.trim() ? `<div class="browser-note" data-note-qid="${qid}"></div>` : ''}
+        <span class="qid-link" data-qid="${qid}" role="button">🔎 Детайли</span>
+        <span class="qid-link" data-edit-qid="${qid}" role="button">✏️ Редактирай</span>
+      </details>
+    `;
+  }).join('') : `<div style="padding:8px;color:var(--text2);">${MESSAGES.BG.BROWSER_EMPTY}</div>`);
+
+  // Notes are user text - set as text, not HTML
+  document.querySelectorAll('#browserList [data-note-qid]').forEach(el => {
+    el.textContent = getQuestionMeta(Number(el.dataset.noteQid)).note;
+  });
+
+  setText('browserCount', MESSAGES.BG.BROWSER_COUNT(shown.length, questionIds.length));
+  setText('browserMatchCount', questionIds.length);
+  toggleVisibility('browserMoreBtn', questionIds.length > shown.length);
+  $('browserStartBtn').disabled = questionIds.length === 0;
+}
+
+/**
+ * Show how many questions have local changes
+ * @param {{edited: number, added: number, retired: number}} summary
+ */
+export function renderOverridesSummary(summary) {
+  const total = summary.edited + summary.added + summary.retired;
+  setText('overridesSummary', MESSAGES.BG.OVERRIDES_SUMMARY(summary.edited, summary.added, summary.retired));
+  $('exportDiffBtn').disabled = total === 0;
+}
+
+// ============ IMPORT ============
+
+/**
+ * Render parsed questions, problems and duplicates before importing
+ * @param {Object} preview - Import preview
+ * @param {string} activeDeckTitle - Deck a merge would go into
+ */
+export function renderImportPreview(preview, activeDeckTitle) {
+  const errors = preview.problems.filter(p => p.severity === 'error').length;
+  const duplicateCount = Object.keys(preview.duplicates).length;
+
+  setText('importSummary', MESSAGES.BG.IMPORT_SUMMARY(preview.questions.length, preview.format, errors, duplicateCount));
+  setText('importActiveDeck', activeDeckTitle);
+
+  setHtml('importProblems', preview.problems.length ? `
+    <details>
+      <summary>${MESSAGES.BG.LOAD_PROBLEMS(errors, preview.problems.length - errors)}</summary>
+      <div class="load-report-list">
+        ${preview.problems.map(p => `
+          <div class="load-report-item ${p.severity}">
+            <span>#${p.index + 1}</span>
+            <span>${escapeHtml(p.message)}</span>
+          </div>
+        `).join('')}
+      </div>
+    </details>
+  ` : '');
+  toggleVisibility('importProblems', preview.problems.length > 0);
+
+  setHtml('importList', preview.questions.slice(0, BROWSER_CONFIG.PAGE_SIZE).map((q, i) => `
+    <details class="browser-item">
+      <summary>
+        <strong>${i + 1}.</strong> ${escapeHtml(q.question)}
+        <span class="browser-tags">
+          ${preview.duplicates[i] !== undefined ? MESSAGES.BG.IMPORT_DUPLICATE(preview.duplicates[i]) : ''}
+        </span>
+      </summary>
+      <div class="detail-answers">
+        ${Object.entries(q.answers).map(([letter, text]) => `
+          <div class="detail-answer ${q.correct.includes(letter) ? 'correct' : ''}">
+            <strong>${escapeHtml(letter)}.</strong> ${escapeHtml(text)} ${q.correct.includes(letter) ? '✅' : ''}
+          </div>
+        `).join('')}
+      </div>
+    </details>
+  `).join(''));
+
+  toggleVisibility('importPreview', true);
+}
+
+/**
+ * Read where and how to import
+ * @returns {{target: 'new'|'merge', title: string, skipDuplicates: boolean}}
+ */
+export function readImportOptions() {
+  return {
+    target: document.querySelector('input[name="importTarget"]:checked')?.value || 'new',
+    title: $('importDeckTitle').value.trim(),
+    skipDuplicates: $('importSkipDuplicates').checked
+  };
+}
+
+/**
+ * Show how many questions the import would add
+ * @param {number} count
+ */
+export function updateImportCount(count) {
+  setText('importCount', count);
+  $('importConfirmBtn').disabled = count === 0;
+}
+
+/**
+ * Clear the import form
+ */
+export function resetImportForm() {
+  $('importFile').value = '';
+  $('importText').value = '';
+  $('importFormat').value = '';
+  $('importDeckTitle').value = '';
+  setHtml('importList', '');
+  toggleVisibility('importPreview', false);
+}
+
+// ============ QUESTION EDITOR ============
+
+/**
+ * Append an answer row to the editor
+ * @param {string} [text] - Answer text
+ * @param {boolean} [correct] - Whether the answer is correct
+ */
+export function addEditorAnswerRow(text = '', correct = false) {
+  const list = $('editorAnswers');
+  const letter = String.fromCharCode(65 + list.children.length);
+
+  const row = document.createElement('div');
+  row.className = 'editor-answer';
+  row.innerHTML = `
+    <input type="checkbox" aria-label="Верен отговор ${letter}">
+    <strong>${escapeHtml(letter)}.</strong>
+    <input type="text" aria-label="Отговор ${letter}">
+  `;
+  row.dataset.letter = letter;
+  row.querySelector('input[type="checkbox"]').checked = correct;
+  row.querySelector('input[type="text"]').value = text;
+  list.appendChild(row);
+}
+
+/**
+ * Fill the editor form with a question
+ * @param {Object} draft - Question draft
+ * @param {{isNew: boolean, retired: boolean, overridden: boolean}} status
+ */
+export function renderQuestionEditor(draft, { isNew, retired, overridden }) {
+  $('editorModal').dataset.qid = draft.number;
+  setText('editorTitle', isNew ? MESSAGES.BG.NEW_QUESTION(draft.number) : MESSAGES.BG.EDIT_QUESTION(draft.number));
+  $('editorQuestion').value = draft.question;
+  $('editorExplanation').value = draft.explanation;
+
+  setHtml('editorAnswers', '');
+  Object.entries(draft.answers).forEach(([letter, text]) => {
+    addEditorAnswerRow(text, draft.correct.includes(letter));
+  });
+
+  setText('editorRetireBtn', retired ? MESSAGES.BG.RESTORE_QUESTION : MESSAGES.BG.RETIRE_QUESTION);
+  toggleVisibility('editorRetireBtn', !isNew);
+  toggleVisibility('editorRevertBtn', overridden);
+  renderEditorErrors([]);
+}
+
+/**
+ * Read the editor form (empty answers are dropped)
+ * @returns {Object} - Question draft
+ */
+export function readQuestionEditor() {
+  const answers = {};
+  const correct = [];
+
+  $('editorAnswers').querySelectorAll('.editor-answer').forEach(row => {
+    const text = row.querySelector('input[type="text"]').value.trim();
+    if (!text) return;
+
+    answers[row.dataset.letter] = text;
+    if (row.querySelector('input[type="checkbox"]').checked) correct.push(row.dataset.letter);
+  });
+
+  return {
+    number: Number($('editorModal').dataset.qid),
+    question: $('editorQuestion').value.trim(),
+    answers,
+    correct,
+    explanation: $('editorExplanation').value.trim()
+  };
+}
+
+/**
+ * Show validation errors in the editor
+ * @param {string[]} errors
+ */
+export function renderEditorErrors(errors) {
+  setText('editorErrors', errors.map(e => `⚠️ ${e}`).join('\n'));
+  toggleVisibility('editorErrors', errors.length > 0);
+}
+
+// ============ DISPUTES ============
+
+/**
+ * Render the vote distribution of a disputed question
+ * @param {string} containerId - Container element ID
+ * @param {number} qid - Question ID
+ * @param {Object|null} summary - Dispute summary (null clears the container)
+ */
+function renderDisputeVotes(containerId, qid, summary) {
+  if (!summary) {
+    setHtml(containerId, '');
+    return;
+  }
+
+  const question = getQuestion(qid);
+  const keyText = answer => answer.map(letter => escapeHtml(`${letter}. ${question.answers[letter] ?? ''}`)).join('; ');
+
+  const resolutionHtml = summary.resolution ? `
+    <p class="dispute-resolution">
+      ${escapeHtml(MESSAGES.BG.DISPUTE_RESOLVED(summary.resolution.correct.join(', '), summary.resolution.status))}
+    </p>
+  ` : '';
+
+  const optionsHtml = summary.options.map(option => `
+    <div class="dispute-option ${option.official ? 'official' : ''}">
+      <span class="dispute-key">${keyText(option.answer)} ${option.official ? '✅' : ''}</span>
+      <div class="dispute-bar"><div style="width:${calcPercent(option.count, summary.total)}%"></div></div>
+      <span>${option.count}</span>
+    </div>
+  `).join('');
+
+  const reasonsHtml = summary.reasons.length ? `
+    <details>
+      <summary>${MESSAGES.BG.DISPUTE_REASONS(summary.reasons.length)}</summary>
+      <ul class="dispute-reasons">
+        ${summary.reasons.map((r, i) => `<li><strong>${escapeHtml(r.answer.join(', '))}:</strong> <span data-reason="${i}"></span></li>`).join('')}
+      </ul>
+    </details>
+  ` : '';
+
+  setHtml(containerId, `
+    <p><strong>${MESSAGES.BG.DISPUTE_VOTES(summary.total)}</strong></p>
+    ${resolutionHtml}
+    ${optionsHtml}
+    ${reasonsHtml}
+  `);
+
+  // Arguments come from other profiles - set as text, not HTML
+  $(containerId).querySelectorAll('[data-reason]').forEach(el => {
+    el.textContent = summary.reasons[el.dataset.reason].reason;
+  });
+}
+
+/**
+ * Show dispute votes under the current question once its result is shown
+ */
+export function updateDisputeInfo() {
+  const qid = getCurrentQuestionId();
+  const qState = getQuestionState(qid);
+  const revealed = hasImmediateFeedback() && !!qState?.status && qState.status !== 'unanswered';
+  const summary = revealed ? getDisputeSummary(qid) : null;
+
+  renderDisputeVotes('disputeInfo', qid, summary);
+  toggleVisibility('disputeInfo', !!summary);
+}
+
+/**
+ * Fill the dispute modal for a question
+ * @param {number} qid - Question ID
+ * @param {Object} options - Render options
+ * @param {Object|null} options.ownVote - This profile's vote
+ * @param {Object|null} options.summary - Votes to show (null hides them)
+ * @param {boolean} options.maintainer - Show the resolve button
+ */
+export function renderDisputeModal(qid, { ownVote, summary, maintainer }) {
+  const question = getQuestion(qid);
+  const selected = ownVote?.answer || [];
+
+  $('disputeModal').dataset.qid = qid;
+  setText('disputeTitle', MESSAGES.BG.DISPUTE_TITLE(qid));
+  setHtml('disputeAnswers', Object.entries(question.answers).map(([letter, text]) => `
+    <label>
+      <input type="checkbox" name="disputeAnswer" value="${escapeHtml(letter)}" ${selected.includes(letter) ? 'checked' : ''}>
+      <strong>${escapeHtml(letter)}.</strong> ${escapeHtml(text)}
+    </label>
+  `).join(''));
+  $('disputeReason').value = ownVote?.reason || '';
+
+  renderDisputeVotes('disputeVotes', qid, summary);
+  toggleVisibility('disputeWithdrawBtn', !!ownVote);
+  toggleVisibility('disputeResolveBtn', maintainer);
+}
+
+/**
+ * Read the dispute form
+ * @returns {{answer: string[], reason: string}}
+ */
+export function readDisputeForm() {
+  return {
+    answer: [...document.querySelectorAll('input[name="disputeAnswer"]:checked')].map(i => i.value),
+    reason: $('disputeReason').value
+  };
+}
+
+/**
+ * Render the "resume unfinished session" banner
+ * @param {{label: string, answered: number, total: number, timeLeft: number|null}|null} info - Session summary, null hides the banner
+ */
+export function renderResumeBanner(info) {
+  toggleVisibility('resumeBanner', !!info);
+  if (!info) return;
+
+  const timeLeft = info.timeLeft != null ? formatTime(info.timeLeft) : null;
+  setText('resumeText', MESSAGES.BG.RESUME_SESSION(info.label, info.answered, info.total, timeLeft));
+}
+
+/**
+ * Get display label for a mode/round (e.g. "📝 Exam 3")
+ * @param {string} mode - Mode
+ * @param {string} roundType - Round type
+ * @param {number|null} examIndex - Exam index
+ * @returns {string}
+ */
+export function getRoundLabel(mode, roundType, examIndex) {
+  const modeLabels = {
+    [MODES.LEARNING]: MESSAGES.BG.MODE_LEARNING,
+    [MODES.EXAM]: MESSAGES.BG.MODE_EXAM,
+    [MODES.SMART]: MESSAGES.BG.MODE_SMART,
+    [MODES.MOCK]: MESSAGES.BG.MODE_MOCK
+  };
+
+  let label = modeLabels[mode] || MESSAGES.BG.MODE_EXAM;
+  if (examIndex != null) label += ` ${examIndex + 1}`;
+  if (roundType && roundType !== ROUND_TYPES.BASE) label += ` • ${ROUND_TITLES[roundType]}`;
+  return label;
+}
+
 // ============ EXAM UI ============
 
+/**
+ * Find the input of an answer letter (compared, never built into a selector)
+ * @param {string} letter
+ * @returns {HTMLInputElement|undefined}
+ */
+function getAnswerInput(letter) {
+  return [...document.querySelectorAll('input[name="answer"]')].find(input => input.value === letter);
+}
+
 /**
  * Initialize exam UI
  */
@@ -203,6 +942,8 @@ export function initExamUI() {
     modeLabel = MESSAGES.BG.MODE_LEARNING;
   } else if (isSmartMode()) {
     modeLabel = MESSAGES.BG.MODE_SMART;
+  } else if (isMockMode()) {
+    modeLabel = MESSAGES.BG.MODE_MOCK;
   } else {
     modeLabel = MESSAGES.BG.MODE_EXAM;
   }
@@ -210,6 +951,12 @@ export function initExamUI() {
   setText('modeIndicator', modeLabel);
   $('modeIndicator').className = state.currentMode;
   setStyle('progressFill', 'width', '0%');
+
+  // Navigator, marking and explicit submit only without immediate feedback
+  const examLike = !hasImmediateFeedback();
+  toggleVisibility('navigatorPanel', examLike);
+  toggleVisibility('markBtn', examLike);
+  toggleVisibility('submitExamBtn', examLike);
 }
 
 /**
@@ -238,21 +985,25 @@ export function renderQuestion() {
   // Update question text
   setText('question', question.question);
 
-  // Clear result line
+  // Clear result line and explanation
   const resultLine = $('resultLine');
   setHtml(resultLine, '');
   setStyle(resultLine, 'background', '');
   setStyle(resultLine, 'color', '');
+  setHtml('explanation', '');
+  toggleVisibility('explanation', false);
+  toggleVisibility('disputeInfo', false);
 
   // Update confidence checkboxes
   $('dontKnow').checked = qState?.dontKnow || false;
   $('notSure').checked = qState?.notSure || false;
 
-  // Update flag button
+  // Update flag and mark buttons
   const flagBtn = $('flagBtn');
   if (flagBtn) {
     toggleClass(flagBtn, 'flagged', qMeta.flagged);
   }
+  toggleClass('markBtn', 'marked', !!qState?.marked);
 
   // Update note
   const noteTextarea = $('questionNote');
@@ -268,30 +1019,104 @@ export function renderQuestion() {
     notesSection.setAttribute('open', '');
   }
 
+  // Multi-select questions use checkboxes and show a "Select N" hint
+  const multi = isMultiSelect(qid);
+  const inputType = multi ? 'checkbox' : 'radio';
+
+  setText('selectHint', multi ? MESSAGES.BG.SELECT_N(question.correct.length) : '');
+  toggleVisibility('selectHint', multi);
+  $('answers').setAttribute('role', multi ? 'group' : 'radiogroup');
+
   // Render answers
   const answersHtml = answerOrder.map(([letter, text]) => `
-    <div class="answer" data-letter="${letter}">
+    <div class="answer" data-letter="${escapeHtml(letter)}">
       <label>
-        <input type="radio" name="answer" value="${letter}">
-        ${text}
+        <input type="${inputType}" name="answer" value="${escapeHtml(letter)}">
+        ${escapeHtml(text)}
       </label>
     </div>
   `).join('');
 
   setHtml('answers', answersHtml);
 
-  // Restore selected answer
-  if (qState?.selectedAnswer) {
-    const radio = document.querySelector(`input[name="answer"][value="${qState.selectedAnswer}"]`);
-    if (radio) radio.checked = true;
-  }
+  // Restore selected answers
+  toAnswerList(qState?.selectedAnswer).forEach(letter => {
+    const input = getAnswerInput(letter);
+    if (input) input.checked = true;
+  });
 
-  // Show result in learning/smart mode if already answered
-  if ((isLearningMode() || isSmartMode()) && qState?.status && qState.status !== 'unanswered') {
+  // Show result right away (learning/smart/review) if already answered
+  if (hasImmediateFeedback() && qState?.status && qState.status !== 'unanswered') {
     showQuestionResult(qState);
   } else {
     enableAnswerSelection();
   }
+
+  if (!hasImmediateFeedback()) {
+    renderNavigator();
+  }
+}
+
+/**
+ * Render question navigator grid (exam mode)
+ */
+export function renderNavigator() {
+  const state = getState();
+  const { items } = getNavigatorSummary(state.questionState, state.stack);
+
+  const html = items.map(item => {
+    const classes = ['nav-item'];
+    if (item.answered) classes.push('answered');
+    if (item.marked) classes.push('marked');
+    if (item.index === state.currentIndex) classes.push('current');
+
+    return `<button class="${classes.join(' ')}" data-index="${item.index}" title="Q${item.qid}">${item.index + 1}</button>`;
+  }).join('');
+
+  setHtml('navigatorGrid', html);
+}
+
+/**
+ * Render pre-submit review screen (exam mode)
+ * @param {Object} options - Render options
+ */
+export function renderReviewScreen(options) {
+  const { timeLeft, onJump, onBack, onSubmit } = options;
+  const state = getState();
+  const summary = getNavigatorSummary(state.questionState, state.stack);
+
+  const unanswered = summary.items.filter(i => !i.answered);
+  const marked = summary.items.filter(i => i.marked);
+
+  const listHtml = (label, items) => items.length ? `
+    <p><strong>${label}</strong></p>
+    <div class="navigator-grid">
+      ${items.map(i => `<button class="nav-item${i.answered ? ' answered' : ''}${i.marked ? ' marked' : ''}" data-index="${i.index}" title="Q${i.qid}">${i.index + 1}</button>`).join('')}
+    </div>
+  ` : '';
+
+  const html = `
+    <h3 id="reviewTitle">${MESSAGES.BG.REVIEW_TITLE}</h3>
+    <p>${MESSAGES.BG.REVIEW_SUMMARY(summary.answered, summary.items.length, summary.marked)}</p>
+    ${timeLeft != null ? `<p class="faded-text">${MESSAGES.BG.REVIEW_TIME_LEFT(formatTime(timeLeft))}</p>` : ''}
+    ${listHtml(MESSAGES.BG.REVIEW_UNANSWERED, unanswered)}
+    ${listHtml(MESSAGES.BG.REVIEW_MARKED, marked)}
+    ${!unanswered.length && !marked.length ? `<p>${MESSAGES.BG.REVIEW_ALL_DONE}</p>` : ''}
+    <div class="nav-buttons">
+      <button id="backToExamBtn">${MESSAGES.BG.BACK_TO_EXAM}</button>
+      <button id="confirmSubmitBtn" class="btn-accent">${MESSAGES.BG.SUBMIT_EXAM}</button>
+    </div>
+  `;
+
+  setHtml('reviewScreen', html);
+
+  // Attach event handlers
+  $('reviewScreen').onclick = (e) => {
+    const btn = e.target.closest('[data-index]');
+    if (btn) onJump(Number(btn.dataset.index));
+  };
+  $('backToExamBtn')?.addEventListener('click', onBack);
+  $('confirmSubmitBtn')?.addEventListener('click', onSubmit);
 }
 
 /**
@@ -306,24 +1131,76 @@ function showQuestionResult(qState) {
   $('dontKnow').disabled = true;
   $('notSure').disabled = true;
 
-  // Highlight answer
-  const selectedWrapper = document.querySelector(
-    `input[name="answer"][value="${qState.selectedAnswer}"]`
-  )?.closest('.answer');
+  // Highlight selected answers
+  const correctLetters = getCurrentQuestion().correct;
+  toAnswerList(qState.selectedAnswer).forEach(letter => {
+    const wrapper = getAnswerInput(letter)?.closest('.answer');
+    wrapper?.classList.add(correctLetters.includes(letter) ? 'correct' : 'wrong');
+  });
 
   const resultLine = $('resultLine');
 
   if (qState.status === 'correct') {
-    selectedWrapper?.classList.add('correct');
     setHtml(resultLine, '✅ Вярно');
     setStyle(resultLine, 'background', 'var(--success)');
     setStyle(resultLine, 'color', '#fff');
+  } else if (qState.score > 0) {
+    setHtml(resultLine, `${MESSAGES.BG.PARTIAL_RESULT(qState.score)} → ${escapeHtml(getCorrectText(qid))}`);
+    setStyle(resultLine, 'background', 'var(--warning)');
+    setStyle(resultLine, 'color', '#fff');
   } else {
-    selectedWrapper?.classList.add('wrong');
-    setHtml(resultLine, `❌ Грешно → ${getCorrectText(qid)}`);
+    setHtml(resultLine, `❌ Грешно → ${escapeHtml(getCorrectText(qid))}`);
     setStyle(resultLine, 'background', 'var(--danger)');
     setStyle(resultLine, 'color', '#fff');
   }
+
+  // Explanation, rationale and references (if the question has any)
+  const explanationHtml = buildExplanationHtml(getCurrentQuestion(), qState.selectedAnswer);
+  setHtml('explanation', explanationHtml);
+  toggleVisibility('explanation', !!explanationHtml);
+
+  updateDisputeInfo();
+}
+
+/**
+ * Build explanation block for a question
+ * @param {Object} question - Question data
+ * @param {string[]|string|null} [selected] - Selected answers to highlight
+ * @returns {string} - HTML ('' if the question has no explanation data)
+ */
+export function buildExplanationHtml(question, selected = null) {
+  if (!question) return '';
+
+  const picks = toAnswerList(selected);
+  let html = '';
+
+  if (typeof question.explanation === 'string' && question.explanation.trim()) {
+    html += `<p class="explanation-text">💡 ${escapeHtml(question.explanation)}</p>`;
+  }
+
+  const rationale = question.rationale && typeof question.rationale === 'object'
+    ? Object.entries(question.rationale).filter(([letter, text]) => question.answers[letter] && text)
+    : [];
+
+  if (rationale.length) {
+    html += `<ul class="rationale-list">${rationale.map(([letter, text]) => {
+      const cls = question.correct.includes(letter) ? 'correct' : 'wrong';
+      const mark = picks.includes(letter) ? ' <strong>←</strong>' : '';
+      return `<li class="${cls}"><strong>${escapeHtml(letter)}.</strong> ${escapeHtml(text)}${mark}</li>`;
+    }).join('')}</ul>`;
+  }
+
+  const references = (Array.isArray(question.references) ? question.references : [])
+    .map(ref => typeof ref === 'string' ? { title: ref, url: ref } : ref)
+    .filter(ref => /^https?:\/\//.test(ref?.url || ''));
+
+  if (references.length) {
+    html += `<div class="references">📖 ${references.map(ref =>
+      `<a href="${escapeHtml(ref.url)}" target="_blank" rel="noopener">${escapeHtml(ref.title || ref.url)}</a>`
+    ).join(' • ')}</div>`;
+  }
+
+  return html;
 }
 
 /**
@@ -336,12 +1213,12 @@ function enableAnswerSelection() {
 }
 
 /**
- * Get currently selected answer
- * @returns {string|null}
+ * Get currently selected answers
+ * @returns {string[]}
  */
-export function getSelectedAnswer() {
-  const radio = document.querySelector('input[name="answer"]:checked');
-  return radio?.value || null;
+export function getSelectedAnswers() {
+  return [...document.querySelectorAll('input[name="answer"]:checked')]
+    .map(input => input.value);
 }
 
 /**
@@ -373,6 +1250,7 @@ export function renderResults(options) {
     onReviewWrong,
     onReviewNotSure,
     onReviewDontKnow,
+    onReviewOverconfident,
     onBackToBase,
     onNewExam,
     onViewStats
@@ -389,10 +1267,29 @@ export function renderResults(options) {
     modeLabel = MESSAGES.BG.MODE_LEARNING;
   } else if (mode === 'smart') {
     modeLabel = MESSAGES.BG.MODE_SMART;
+  } else if (mode === 'mock') {
+    modeLabel = MESSAGES.BG.MODE_MOCK;
   } else {
     modeLabel = MESSAGES.BG.MODE_EXAM;
   }
 
+  // Section score report for mock exams
+  let sectionsHtml = '';
+  if (mode === 'mock' && roundType === ROUND_TYPES.BASE) {
+    const sections = computeSectionStats(questionState, stack);
+    sectionsHtml = `
+      <p><strong>${MESSAGES.BG.SECTION_REPORT}</strong></p>
+      <div class="section-report">
+        ${sections.map(sec => `
+          <div class="section-row ${sec.passed ? 'passed' : 'failed'}">
+            <span>${escapeHtml(sec.title)}</span>
+            <span>${sec.correct}/${sec.total} (${sec.pct}%) ${sec.passed ? '✅' : '❌'}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   // Build review buttons
   let reviewHtml = '';
   if (baseState && baseStack) {
@@ -413,6 +1310,9 @@ export function renderResults(options) {
         <button id="reviewDontKnowBtn" ${bs.dk.length ? '' : 'disabled'}>
           ❓ Не знам (${bs.dk.length})
         </button>
+        <button id="reviewOverconfidentBtn" ${bs.overconfident.length ? '' : 'disabled'}>
+          ⚡ Самоуверени (${bs.overconfident.length})
+        </button>
         ${roundType !== ROUND_TYPES.BASE
         ? '<button id="backToBaseResultsBtn">⬅️ Основен</button>'
         : ''}
@@ -426,13 +1326,19 @@ export function renderResults(options) {
     </h3>
     <p style="font-size:20px;">
       <strong>${passed ? MESSAGES.BG.PASSED : MESSAGES.BG.FAILED}</strong> 
-      ${MESSAGES.BG.MIN_THRESHOLD}
+      ${MESSAGES.BG.MIN_THRESHOLD(EXAM_CONFIG.PASS_THRESHOLD)}
     </p>
     <p><strong>${MESSAGES.BG.CORRECT_ANSWERS}</strong> ${stats.correct}/${total} (${pct}%)</p>
     <p>❌ <strong>${MESSAGES.BG.WRONG_ANSWERS}</strong> ${stats.wrong.length ? stats.wrong.join(', ') : MESSAGES.BG.NO_DATA}</p>
+    ${stats.partial.length ? `
+    <p>◐ <strong>${MESSAGES.BG.PARTIAL_ANSWERS}</strong> ${stats.partial.map(p => `${p.qid} (${Math.round(p.score * 100)}%)`).join(', ')}</p>
+    <p>🎯 <strong>${MESSAGES.BG.PARTIAL_POINTS}</strong> ${stats.points}/${total}</p>
+    ` : ''}
     <p>⚠️ <strong>${MESSAGES.BG.CORRECT_NOT_SURE}</strong> ${stats.correctButNotSure.length ? stats.correctButNotSure.join(', ') : MESSAGES.BG.NO_DATA}</p>
     <p>❓ <strong>${MESSAGES.BG.DONT_KNOW}</strong> ${stats.dk.length ? stats.dk.join(', ') : MESSAGES.BG.NO_DATA}</p>
+    <p>⚡ <strong>${MESSAGES.BG.OVERCONFIDENT}</strong> ${stats.overconfident.length ? stats.overconfident.join(', ') : MESSAGES.BG.NO_DATA}</p>
     <p>⏱️ <strong>${MESSAGES.BG.TIME}</strong> ${formatTimeVerbose(stats.totalTime)} (${avgTime}s/въпр.)</p>
+    ${sectionsHtml}
     ${reviewHtml}
     <div style="margin-top:16px;display:flex;gap:10px;flex-wrap:wrap;">
       <button id="newExamBtn" style="flex:1;">🔄 Нов изпит</button>
@@ -449,6 +1355,7 @@ export function renderResults(options) {
   $('reviewWrongBtn')?.addEventListener('click', onReviewWrong);
   $('reviewNotSureBtn')?.addEventListener('click', onReviewNotSure);
   $('reviewDontKnowBtn')?.addEventListener('click', onReviewDontKnow);
+  $('reviewOverconfidentBtn')?.addEventListener('click', onReviewOverconfident);
   $('backToBaseResultsBtn')?.addEventListener('click', onBackToBase);
 }
 
@@ -105,6 +105,41 @@ export function calcPercent(part, total) {
   return Math.round((part / total) * 100);
 }
 
+/**
+ * Get local calendar day key
+ * @param {Date|number} [date] - Date or timestamp (default: now)
+ * @returns {string} - YYYY-MM-DD
+ */
+export function toDayKey(date = new Date()) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Normalize a stored answer to a list of letters
+ * (older records store a single letter string)
+ * @param {string|string[]|null} answer - Stored answer
+ * @returns {string[]}
+ */
+export function toAnswerList(answer) {
+  if (!answer) return [];
+  return Array.isArray(answer) ? answer : [answer];
+}
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Show/hide element
  * @param {HTMLElement|string} el - Element or ID
@@ -234,6 +269,24 @@ export async function copyToClipboard(text) {
   }
 }
 
+/**
+ * Trigger a file download in the browser
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} [mimeType] - MIME type
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Confirm dialog wrapper
  * @param {string} message - Confirmation message
@@ -243,6 +296,16 @@ export function confirmAction(message) {
   return window.confirm(message);
 }
 
+/**
+ * Prompt dialog wrapper
+ * @param {string} message - Prompt message
+ * @param {string} [defaultValue] - Prefilled value
+ * @returns {string|null} - Entered text, or null if cancelled
+ */
+export function promptInput(message, defaultValue = '') {
+  return window.prompt(message, defaultValue);
+}
+
 /**
  * Alert wrapper
  * @param {string} message - Alert message
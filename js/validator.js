@@ -0,0 +1,194 @@
+/**
+ * Question Bank Validator
+ * Проверка на въпросите при зареждане
+ */
+
+/**
+ * @typedef {Object} ValidationProblem
+ * @property {number} index - Position in the source array
+ * @property {number|null} number - Question number (if readable)
+ * @property {'error'|'warning'} severity - Errors skip the question, warnings keep it
+ * @property {string} message - Human readable description
+ */
+
+// Answer keys are single capital letters (they end up in HTML attributes)
+const ANSWER_LETTER = /^[A-Z]$/;
+
+/**
+ * Normalize question text for duplicate detection
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Check a single question's shape and content
+ * @param {*} q - Raw question
+ * @returns {string[]} - Error messages (empty if valid)
+ */
+function checkQuestion(q) {
+  const errors = [];
+
+  if (!q || typeof q !== 'object') {
+    return ['не е обект'];
+  }
+
+  if (!Number.isInteger(q.number)) {
+    errors.push('липсва или невалиден "number"');
+  }
+
+  if (typeof q.question !== 'string' || !q.question.trim()) {
+    errors.push('празен текст на въпроса');
+  }
+
+  const answers = q.answers && typeof q.answers === 'object' && !Array.isArray(q.answers)
+    ? q.answers
+    : null;
+
+  if (!answers) {
+    errors.push('липсва "answers"');
+  } else {
+    const entries = Object.entries(answers);
+    if (entries.length < 2) {
+      errors.push('по-малко от 2 отговора');
+    }
+    entries.forEach(([letter, text]) => {
+      if (!ANSWER_LETTER.test(letter)) {
+        errors.push(`невалидна буква на отговор "${letter}" (само A-Z)`);
+      }
+      if (typeof text !== 'string' || !text.trim()) {
+        errors.push(`празен отговор ${letter}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(q.correct) || !q.correct.length) {
+    errors.push('липсва "correct"');
+  } else if (answers) {
+    q.correct
+      .filter(letter => !Object.hasOwn(answers, letter))
+      .forEach(letter => errors.push(`верният отговор ${letter} не съществува`));
+  }
+
+  return errors;
+}
+
+/**
+ * Check optional fields (problems here only produce warnings)
+ * @param {Object} q - Question that passed the required checks
+ * @returns {string[]} - Warning messages
+ */
+function checkExtras(q) {
+  const warnings = [];
+
+  if (q.topics !== undefined
+    && (!Array.isArray(q.topics) || q.topics.some(t => typeof t !== 'string'))) {
+    warnings.push('"topics" не е масив от текстове');
+  }
+
+  if (q.explanation !== undefined && typeof q.explanation !== 'string') {
+    warnings.push('"explanation" не е текст');
+  }
+
+  if (q.rationale !== undefined) {
+    if (!q.rationale || typeof q.rationale !== 'object' || Array.isArray(q.rationale)) {
+      warnings.push('"rationale" не е обект');
+    } else {
+      Object.keys(q.rationale)
+        .filter(letter => !Object.hasOwn(q.answers, letter))
+        .forEach(letter => warnings.push(`"rationale" за несъществуващ отговор ${letter}`));
+    }
+  }
+
+  if (q.references !== undefined) {
+    if (!Array.isArray(q.references)) {
+      warnings.push('"references" не е масив');
+    } else {
+      q.references
+        .map(ref => typeof ref === 'string' ? ref : ref?.url)
+        .filter(url => !/^https?:\/\//.test(url || ''))
+        .forEach(url => warnings.push(`невалиден линк ${url || '(празен)'}`));
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Validate a question bank.
+ * Broken questions are skipped, everything else is returned as valid.
+ * @param {Array} questions - Raw questions array
+ * @returns {{valid: Object[], problems: ValidationProblem[]}}
+ */
+export function validateQuestions(questions) {
+  const valid = [];
+  const problems = [];
+
+  if (!Array.isArray(questions)) {
+    problems.push({ index: -1, number: null, severity: 'error', message: '"questions" не е масив' });
+    return { valid, problems };
+  }
+
+  const seenNumbers = new Set();
+  const seenText = new Map();
+
+  questions.forEach((q, index) => {
+    const number = Number.isInteger(q?.number) ? q.number : null;
+    const errors = checkQuestion(q);
+
+    if (number !== null && seenNumbers.has(number)) {
+      errors.push(`дублиран номер ${number}`);
+    }
+
+    if (errors.length) {
+      errors.forEach(message => problems.push({ index, number, severity: 'error', message }));
+      return;
+    }
+
+    seenNumbers.add(number);
+
+    checkExtras(q).forEach(message => problems.push({ index, number, severity: 'warning', message }));
+
+    const key = normalizeText(q.question);
+    if (seenText.has(key)) {
+      problems.push({
+        index,
+        number,
+        severity: 'warning',
+        message: `същият текст като Q${seenText.get(key)}`
+      });
+    } else {
+      seenText.set(key, number);
+    }
+
+    valid.push(q);
+  });
+
+  return { valid, problems };
+}
+
+/**
+ * Format validation problems as a plain-text report
+ * @param {ValidationProblem[]} problems
+ * @param {string} source - Deck or file name
+ * @returns {string}
+ */
+export function formatReport(problems, source) {
+  const errors = problems.filter(p => p.severity === 'error');
+  const warnings = problems.filter(p => p.severity === 'warning');
+
+  const line = p => `#${p.index + 1}${p.number !== null ? ` (Q${p.number})` : ''}: ${p.message}`;
+
+  return [
+    `Validation report: ${source}`,
+    `Generated: ${new Date().toISOString()}`,
+    '',
+    `Errors (skipped questions): ${errors.length}`,
+    ...errors.map(line),
+    '',
+    `Warnings: ${warnings.length}`,
+    ...warnings.map(line)
+  ].join('\n');
+}
@@ -3,12 +3,13 @@
  * Handles caching and offline support
  */
 
-const CACHE_NAME = 'agentforce-exam-v4';
+const CACHE_NAME = 'agentforce-exam-v45';
 
 const STATIC_ASSETS = [
   './',
   './index.html',
   './manifest.json',
+  './decks.json',
   './css/styles.css',
   './js/main.js',
   './js/config.js',
@@ -19,7 +20,25 @@ const STATIC_ASSETS = [
   './js/quiz.js',
   './js/stats.js',
   './js/ui.js',
-  './js/smart.js'
+  './js/smart.js',
+  './js/decks.js',
+  './js/validator.js',
+  './js/topics.js',
+  './js/builder.js',
+  './js/editor.js',
+  './js/disputes.js',
+  './js/importer.js',
+  './js/exporter.js',
+  './js/backup.js',
+  './js/localdb.js',
+  './js/merge.js',
+  './js/backend.js',
+  './js/backend-firebase.js',
+  './js/backend-rest.js',
+  './js/backend-memory.js',
+  './js/runtime-config.js',
+  './js/cipher.js',
+  './js/qrcode.js'
 ];
 
 // Install - cache static assets
@@ -56,6 +75,12 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
 
+  // Writes and sync reads (the REST backend sends them as no-store): leave to the network,
+  // a cached copy of synced data would be stale and only GET responses can be cached
+  if (event.request.method !== 'GET' || event.request.cache === 'no-store') {
+    return;
+  }
+
   // JSON files: Network-first (always get fresh data when online)
   if (url.pathname.endsWith('.json')) {
     event.respondWith(networkFirst(event.request));
@@ -0,0 +1,66 @@
+/**
+ * REST Backend Tests
+ * Собствен сървър: адреси и условни записи (fetch е подменен)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRestBackend } from '../js/backend-rest.js';
+
+const config = { REST_URL: 'https://sync.test/api', WS_URL: '', TOKEN: '', POLL_INTERVAL: 1000 };
+
+let requests;
+let stored;
+
+/**
+ * Fake server: one value, ETag only if `etag` is set
+ * @param {{value: *, etag: string|null}} initial
+ */
+function serve(initial) {
+  stored = initial;
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url, method: options.method || 'GET', headers: options.headers, cache: options.cache });
+    if (options.method === 'PUT') {
+      stored = { value: JSON.parse(options.body), etag: 'v2' };
+      return new Response(null, { status: 204 });
+    }
+    if (stored.value == null) return new Response(null, { status: 404 });
+    const headers = stored.etag ? { ETag: stored.etag } : {};
+    return new Response(JSON.stringify(stored.value), { status: 200, headers });
+  };
+}
+
+beforeEach(() => {
+  requests = [];
+});
+
+test('encodes each path segment', async () => {
+  serve({ value: { ok: true }, etag: 'v1' });
+  await createRestBackend(config).load('disputes/my deck/12?/votes/a#b');
+  assert.equal(requests[0].url, 'https://sync.test/api/disputes/my%20deck/12%3F/votes/a%23b');
+});
+
+test('asks for no caching, so the service worker passes sync requests through', async () => {
+  serve({ value: { n: 1 }, etag: 'v1' });
+  await createRestBackend(config).transact('users/x', current => ({ n: current.n + 1 }));
+  assert.deepEqual(requests.map(r => r.cache), ['no-store', 'no-store']);
+});
+
+test('writes only if the value is unchanged', async () => {
+  serve({ value: { n: 1 }, etag: 'v1' });
+  const result = await createRestBackend(config).transact('users/x', current => ({ n: current.n + 1 }));
+  assert.deepEqual(result, { n: 2 });
+  assert.equal(requests[1].headers['If-Match'], 'v1');
+});
+
+test('creates a missing value only if nobody created it meanwhile', async () => {
+  serve({ value: null, etag: null });
+  await createRestBackend(config).transact('users/x', () => ({ n: 1 }));
+  assert.equal(requests[1].headers['If-None-Match'], '*');
+});
+
+test('refuses to overwrite a value that came without an ETag', async () => {
+  serve({ value: { n: 1 }, etag: null });
+  await assert.rejects(createRestBackend(config).transact('users/x', current => ({ n: current.n + 1 })), /no ETag/);
+  assert.deepEqual(stored.value, { n: 1 });
+});
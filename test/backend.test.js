@@ -0,0 +1,33 @@
+/**
+ * Sync Backend Choice Tests
+ * Кога синхронизацията има нужните настройки
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SYNC_CONFIG, FIREBASE_CONFIG } from '../js/config.js';
+import { isBackendConfigured } from '../js/backend.js';
+
+const defaults = { ...SYNC_CONFIG };
+
+afterEach(() => {
+  Object.assign(SYNC_CONFIG, defaults);
+  Object.keys(FIREBASE_CONFIG).forEach(key => delete FIREBASE_CONFIG[key]);
+});
+
+test('the build defaults without config.json are not a working setup', () => {
+  assert.equal(isBackendConfigured(), false);
+});
+
+test('each backend needs its own settings', () => {
+  FIREBASE_CONFIG.databaseURL = 'https://example-default-rtdb.firebaseio.com';
+  assert.equal(isBackendConfigured(), true);
+
+  SYNC_CONFIG.BACKEND = 'rest';
+  assert.equal(isBackendConfigured(), false);
+  SYNC_CONFIG.REST_URL = 'https://sync.example.com/api';
+  assert.equal(isBackendConfigured(), true);
+
+  SYNC_CONFIG.BACKEND = 'none';
+  assert.equal(isBackendConfigured(), true);
+});
@@ -0,0 +1,30 @@
+/**
+ * Profile Crypto Tests
+ * Sync ID без изкривяване на символите
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILE_CONFIG } from '../js/config.js';
+import { generateSecureId } from '../js/cipher.js';
+
+test('generates IDs of the configured length from [0-9a-z]', () => {
+  const id = generateSecureId('sync');
+  assert.match(id, new RegExp(`^sync_[0-9a-z]{${PROFILE_CONFIG.ID_LENGTH}}$`));
+});
+
+test('uses every character equally often', () => {
+  const counts = new Map();
+  for (let i = 0; i < 2000; i++) {
+    [...generateSecureId('x').slice(2)].forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+  }
+
+  const total = [...counts.values()].reduce((sum, n) => sum + n, 0);
+  const expected = total / 36;
+  const [first, rest] = [['0', '1', '2', '3'], [...counts.keys()].filter(c => !'0123'.includes(c))];
+  const average = chars => chars.reduce((sum, c) => sum + counts.get(c), 0) / chars.length;
+
+  // Modulo bias made 0-3 about 14% more frequent than the rest
+  assert.equal(counts.size, 36);
+  assert.ok(Math.abs(average(first) / average(rest) - 1) < 0.07, `${average(first)} vs ${average(rest)} (expected ${expected})`);
+});
@@ -0,0 +1,64 @@
+/**
+ * Dispute Resolution Tests
+ * Само подписани от поддържащ решения променят ключа
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DISPUTE_CONFIG } from '../js/config.js';
+import { createSigningKey } from '../js/cipher.js';
+import * as state from '../js/state.js';
+import * as disputes from '../js/disputes.js';
+
+const DECK = 'agentforce';
+const question = { number: 1, question: 'Pick one', answers: { A: 'One', B: 'Two' }, correct: ['A'] };
+const other = { number: 2, question: 'Pick another', answers: { A: 'One', B: 'Two' }, correct: ['A'] };
+
+const maintainer = await createSigningKey();
+const stranger = await createSigningKey();
+DISPUTE_CONFIG.MAINTAINERS = [maintainer.publicKey];
+
+beforeEach(() => {
+  state.resetAllData();
+  state.loadQuestions([question, other]);
+});
+
+/**
+ * Sign a decision with a key, as buildResolution does on that device
+ */
+async function resolve(key, qid, correct) {
+  disputes.setMaintainerKey(key);
+  return disputes.buildResolution(DECK, qid, correct);
+}
+
+test('applies a resolution signed by a maintainer', async () => {
+  const resolution = await resolve(maintainer, 1, ['B']);
+  await disputes.setDisputes(DECK, { 1: { resolution } });
+
+  assert.equal(disputes.applyResolutions(), 1);
+  assert.deepEqual(state.getQuestion(1).correct, ['B']);
+});
+
+test('ignores a resolution with a copied maintainer key in `by`', async () => {
+  const forged = { ...await resolve(stranger, 1, ['B']), by: maintainer.publicKey };
+  await disputes.setDisputes(DECK, { 1: { resolution: forged } });
+
+  assert.equal(disputes.applyResolutions(), 0);
+  assert.deepEqual(state.getQuestion(1).correct, ['A']);
+  assert.equal(disputes.getDisputeSummary(1), null);
+});
+
+test('ignores a maintainer signature moved to another question', async () => {
+  const resolution = await resolve(maintainer, 1, ['B']);
+  await disputes.setDisputes(DECK, { 2: { resolution } });
+
+  assert.equal(disputes.applyResolutions(), 0);
+  assert.deepEqual(state.getQuestion(2).correct, ['A']);
+});
+
+test('only a listed key makes this device a maintainer', () => {
+  disputes.setMaintainerKey(stranger);
+  assert.equal(disputes.isMaintainer(), false);
+  disputes.setMaintainerKey(maintainer);
+  assert.equal(disputes.isMaintainer(), true);
+});
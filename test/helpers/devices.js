@@ -0,0 +1,45 @@
+/**
+ * Test Devices
+ * Няколко "устройства" в един процес: всяко със собствени модули
+ */
+
+import { register } from 'node:module';
+
+// Shared by every device: the sync server they talk to
+const SHARED = ['/js/backend-memory.js'];
+
+/**
+ * Module hook: imports from a module loaded as `?device=name` get the same
+ * query, so each device has its own state.js, storage.js, config.js...
+ * @param {string} specifier
+ * @param {Object} context
+ * @param {Function} next
+ * @returns {Promise<Object>}
+ */
+export async function resolve(specifier, context, next) {
+  const result = await next(specifier, context);
+  const device = context.parentURL && new URL(context.parentURL).searchParams.get('device');
+  const url = new URL(result.url);
+  if (!device || url.protocol !== 'file:' || SHARED.some(path => url.pathname.endsWith(path))) return result;
+
+  url.searchParams.set('device', device);
+  return { ...result, url: url.href };
+}
+
+/**
+ * Load the app modules of one device
+ * @param {string} name
+ * @returns {Promise<{config: Object, state: Object, storage: Object}>}
+ */
+export async function loadDevice(name) {
+  const load = path => import(new URL(`../../js/${path}?device=${name}`, import.meta.url).href);
+
+  // Save right away instead of debouncing (read when storage.js loads)
+  const config = await load('config.js');
+  config.SYNC_CONFIG.BACKEND = 'memory';
+  config.DELAYS.SAVE_DEBOUNCE = 0;
+
+  return { config, state: await load('state.js'), storage: await load('storage.js') };
+}
+
+if (!import.meta.url.includes('?hooks')) register(`${import.meta.url}?hooks`);
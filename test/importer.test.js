@@ -0,0 +1,31 @@
+/**
+ * Question Import Tests
+ * Разчитане на CSV и JSON файлове с въпроси
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildImportPreview } from '../js/importer.js';
+
+test('keeps tag-like text such as generics and Visualforce markup', () => {
+  const json = JSON.stringify([{
+    question: 'What does List<Account> hold on an <apex:page>?',
+    answers: { A: 'Map<Id, SObject>', B: 'Accounts' },
+    correct: ['B'],
+    explanation: 'List<Account> is a list of accounts.'
+  }]);
+  const [question] = buildImportPreview(json, 'json').questions;
+
+  assert.equal(question.question, 'What does List<Account> hold on an <apex:page>?');
+  assert.equal(question.answers.A, 'Map<Id, SObject>');
+  assert.equal(question.explanation, 'List<Account> is a list of accounts.');
+});
+
+test('keeps answer letters on their CSV columns when a cell is empty', () => {
+  const csv = 'Which one?,First,,Third,Fourth,C\n';
+  const [question] = buildImportPreview(csv, 'csv').questions;
+
+  assert.deepEqual(question.answers, { A: 'First', C: 'Third', D: 'Fourth' });
+  assert.deepEqual(question.correct, ['C']);
+  assert.equal(question.answers[question.correct[0]], 'Third');
+});
@@ -0,0 +1,216 @@
+/**
+ * Sync Merge Tests
+ * Сливане на данни от две устройства (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeData } from '../js/merge.js';
+import { mergeBackupData } from '../js/backup.js';
+import { HISTORY_CONFIG } from '../js/config.js';
+import * as state from '../js/state.js';
+
+const DECK = 'agentforce';
+
+/**
+ * Build profile data with one deck
+ * @param {Object} deck - Deck snapshot fields
+ * @param {Object} [extra] - Top-level fields (resetAt, customDecks, ...)
+ * @returns {Object}
+ */
+function profile(deck, extra = {}) {
+  return { timestamp: Date.now(), resetAt: 0, decks: { [DECK]: deck }, customDecks: {}, ...extra };
+}
+
+/**
+ * Merge two decks and return the merged one
+ */
+function mergeDecks(a, b, extra = {}) {
+  return mergeData(profile(a, extra.local), profile(b, extra.remote)).decks[DECK];
+}
+
+// ============ APPEND-ONLY LISTS ============
+
+test('keeps history appended on both devices, oldest first', () => {
+  const shared = { id: 'h1', date: '2026-01-01T10:00:00Z' };
+  const merged = mergeDecks(
+    { history: [shared, { id: 'h3', date: '2026-01-03T10:00:00Z' }] },
+    { history: [shared, { id: 'h2', date: '2026-01-02T10:00:00Z' }] }
+  );
+  assert.deepEqual(merged.history.map(h => h.id), ['h1', 'h2', 'h3']);
+});
+
+test('keeps attempts of both devices per question', () => {
+  const merged = mergeDecks(
+    { attemptLog: { 1: [{ date: 1, correct: true }, { date: 3, correct: false }] } },
+    { attemptLog: { 1: [{ date: 1, correct: true }, { date: 2, correct: true }], 2: [{ date: 5 }] } }
+  );
+  assert.deepEqual(merged.attemptLog[1].map(a => a.date), [1, 2, 3]);
+  assert.deepEqual(merged.attemptLog[2].map(a => a.date), [5]);
+});
+
+test('caps merged exam history and attempts', () => {
+  const count = HISTORY_CONFIG.EXAMS_KEPT + 5;
+  const exams = n => Array.from({ length: count }, (_, i) => ({ id: `e${n}_${i}`, date: i * 2 + n }));
+  const attempts = n => Array.from({ length: HISTORY_CONFIG.ATTEMPTS_KEPT }, (_, i) => ({ date: i * 2 + n }));
+  const merged = mergeDecks(
+    { examHistory: exams(0), attemptLog: { 1: attempts(0) } },
+    { examHistory: exams(1), attemptLog: { 1: attempts(1) } }
+  );
+  assert.equal(merged.examHistory.length, HISTORY_CONFIG.EXAMS_KEPT);
+  assert.equal(merged.examHistory.at(-1).id, `e1_${count - 1}`);
+  assert.equal(merged.attemptLog[1].length, HISTORY_CONFIG.ATTEMPTS_KEPT);
+});
+
+// ============ PER-QUESTION RECORDS ============
+
+test('takes the higher wrong count per question', () => {
+  const merged = mergeDecks({ wrongCounts: { 1: 3, 2: 1 } }, { wrongCounts: { 1: 2, 2: 4, 3: 1 } });
+  assert.deepEqual(merged.wrongCounts, { 1: 3, 2: 4, 3: 1 });
+});
+
+test('keeps the latest meta and SR card per question', () => {
+  const merged = mergeDecks(
+    {
+      questionMeta: { 1: { note: 'old', updatedAt: 100 }, 2: { note: 'mine', updatedAt: 300 } },
+      spacedRepetition: { 1: { level: 1, lastSeen: 500 }, 2: { level: 4, lastSeen: 100 } }
+    },
+    {
+      questionMeta: { 1: { note: 'new', updatedAt: 200 }, 2: { note: 'theirs', updatedAt: 250 } },
+      spacedRepetition: { 1: { level: 2, lastSeen: 400 }, 2: { level: 0, lastSeen: 200 } }
+    }
+  );
+  assert.equal(merged.questionMeta[1].note, 'new');
+  assert.equal(merged.questionMeta[2].note, 'mine');
+  assert.equal(merged.spacedRepetition[1].level, 1);
+  assert.equal(merged.spacedRepetition[2].level, 0);
+});
+
+// ============ TOMBSTONES ============
+
+test('a deleted preset stays deleted unless saved again later', () => {
+  const merged = mergeDecks(
+    { sessionPresets: [{ id: 'p1', name: 'Weak', deletedAt: 200 }, { id: 'p2', name: 'Flagged', deletedAt: 200 }] },
+    { sessionPresets: [{ id: 'p1', name: 'Weak', filters: {}, updatedAt: 100 }, { id: 'p3', name: 'Flagged', filters: {}, updatedAt: 300 }] }
+  );
+  const byName = Object.fromEntries(merged.sessionPresets.map(p => [p.name, p]));
+  assert.equal(byName.Weak.deletedAt, 200);
+  assert.equal(byName.Flagged.id, 'p3');
+});
+
+test('a reverted override wins over an older edit', () => {
+  const merged = mergeDecks(
+    { questionOverrides: { 1: { deletedAt: 200 }, 2: { deletedAt: 100 } } },
+    { questionOverrides: { 1: { question: 'Edited', updatedAt: 150 }, 2: { question: 'Edited again', updatedAt: 150 } } }
+  );
+  assert.deepEqual(merged.questionOverrides[1], { deletedAt: 200 });
+  assert.equal(merged.questionOverrides[2].question, 'Edited again');
+});
+
+test('a removed imported deck does not come back', () => {
+  const merged = mergeData(
+    profile({}, { customDecks: { imported: { deletedAt: 200 } } }),
+    profile({}, { customDecks: { imported: { title: 'Imported', questions: [], createdAt: 100 }, other: { title: 'Other', questions: [], createdAt: 100 } } })
+  );
+  assert.deepEqual(merged.customDecks.imported, { deletedAt: 200 });
+  assert.equal(merged.customDecks.other.title, 'Other');
+});
+
+test('state keeps tombstones for deleted presets and reverted overrides', () => {
+  state.resetAllData();
+  const id = state.saveSessionPreset('Weak', { topics: ['data'] });
+  state.deleteSessionPreset(id);
+  state.setQuestionOverride(7, { question: 'Edited' });
+  state.setQuestionOverride(7, null);
+
+  const deck = state.getAllData().decks[DECK];
+  assert.deepEqual(state.getSessionPresets(), []);
+  assert.ok(deck.sessionPresets[0].deletedAt);
+  assert.deepEqual(state.getQuestionOverrides(), {});
+  assert.ok(deck.questionOverrides[7].deletedAt);
+
+  state.saveSessionPreset('Weak', {});
+  assert.equal(state.getSessionPresets().length, 1);
+  assert.equal(state.getAllData().decks[DECK].sessionPresets.length, 1);
+});
+
+// ============ RESETS ============
+
+test('drops stats recorded before a stats reset the other device missed', () => {
+  const merged = mergeDecks(
+    { statsResetAt: 200, history: [{ id: 'h3', date: 300 }], wrongCounts: { 2: 1 } },
+    {
+      history: [{ id: 'h1', date: 100 }, { id: 'h4', date: 400 }],
+      attemptLog: { 1: [{ date: 100 }, { date: 400 }] },
+      wrongCounts: { 1: 5 },
+      questionMeta: { 1: { note: 'kept', updatedAt: 100 } }
+    }
+  );
+  assert.deepEqual(merged.history.map(h => h.id), ['h3', 'h4']);
+  assert.deepEqual(merged.attemptLog[1].map(a => a.date), [400]);
+  assert.deepEqual(merged.wrongCounts, { 2: 1 });
+  assert.equal(merged.questionMeta[1].note, 'kept');
+  assert.equal(merged.statsResetAt, 200);
+});
+
+test('drops everything recorded before a full reset the other device missed', () => {
+  const merged = mergeData(
+    profile({ history: [{ id: 'h3', date: 300 }] }, { resetAt: 200 }),
+    profile({
+      history: [{ id: 'h1', date: 100 }],
+      completedExam: [0],
+      questionMeta: { 1: { note: 'old', updatedAt: 100 }, 2: { note: 'new', updatedAt: 300 } },
+      questionOverrides: { 1: { question: 'Old', updatedAt: 100 }, 2: { deletedAt: 300 } },
+      sessionPresets: [{ id: 'p1', name: 'Weak', updatedAt: 100 }]
+    })
+  );
+  const deck = merged.decks[DECK];
+  assert.equal(merged.resetAt, 200);
+  assert.deepEqual(deck.history.map(h => h.id), ['h3']);
+  assert.deepEqual(deck.completedExam, []);
+  assert.deepEqual(Object.keys(deck.questionMeta), ['2']);
+  assert.deepEqual(Object.keys(deck.questionOverrides), ['2']);
+  assert.deepEqual(deck.sessionPresets, []);
+});
+
+// ============ RESTORE ============
+
+/**
+ * Put this device in sync with a cloud copy
+ * @param {Object} cloud
+ */
+function syncWith(cloud) {
+  state.resetAllData();
+  state.applyData(cloud);
+}
+
+test('a replace restore survives the next cloud save', () => {
+  const backup = profile({ history: [{ id: 'backup', date: 100 }], wrongCounts: { 1: 2 } }, { timestamp: 150 });
+  syncWith(profile({ history: [{ id: 'synced', date: 500 }] }, { timestamp: 1000, resetAt: 400 }));
+
+  // Another device resets everything after this device last synced
+  const cloud = profile({ history: [{ id: 'after-reset', date: 1500 }] }, { timestamp: 2000, resetAt: 1200 });
+
+  state.restoreAllData(backup, true);
+  assert.equal(state.getLastCloudTimestamp(), 1000);
+
+  // What saveToCloud uploads: the cloud changed since the last sync, so both are merged
+  const uploaded = mergeData(state.getAllData(), cloud);
+  const deck = uploaded.decks[DECK];
+  assert.deepEqual(deck.history.map(h => h.id), ['backup']);
+  assert.deepEqual(deck.wrongCounts, { 1: 2 });
+  assert.ok(uploaded.resetAt > cloud.resetAt);
+});
+
+test('a merge restore keeps what the cloud has', () => {
+  const backup = profile({ history: [{ id: 'backup', date: 100 }] }, { timestamp: 150 });
+  const synced = profile({ history: [{ id: 'synced', date: 500 }] }, { timestamp: 1000, resetAt: 400 });
+  syncWith(synced);
+
+  state.restoreAllData(mergeBackupData(state.getAllData(), backup), false);
+  assert.equal(state.getLastCloudTimestamp(), 1000);
+
+  const cloud = profile({ history: [{ id: 'synced', date: 500 }, { id: 'other', date: 1100 }] }, { timestamp: 1200, resetAt: 400 });
+  const uploaded = mergeData(state.getAllData(), cloud);
+  assert.deepEqual(uploaded.decks[DECK].history.map(h => h.id), ['backup', 'synced', 'other']);
+});
@@ -0,0 +1,59 @@
+/**
+ * Exam Generation Tests
+ * Изпити по blueprint върху истинската банка въпроси
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { EXAM_CONFIG, MODES } from '../js/config.js';
+import { applyDeckSettings } from '../js/decks.js';
+import { groupByTopic, apportionByWeight } from '../js/topics.js';
+import { generateExams, updateDraftState, saveCurrentAnswer } from '../js/quiz.js';
+import * as state from '../js/state.js';
+
+const readJson = async path => JSON.parse(await readFile(new URL(path, import.meta.url), 'utf8'));
+const manifest = await readJson('../decks.json');
+const deck = manifest.decks.find(d => d.id === 'agentforce');
+
+applyDeckSettings(deck);
+state.loadQuestions((await readJson(`..${deck.path.slice(1)}`)).questions);
+const ids = state.getState().allQuestionIds;
+const pools = groupByTopic(ids);
+
+test('puts every question in exactly one exam', () => {
+  const exams = generateExams(ids);
+
+  assert.equal(exams.length, EXAM_CONFIG.TOTAL_EXAMS);
+  assert.equal(exams.flat().length, ids.length);
+  assert.equal(new Set(exams.flat()).size, ids.length);
+});
+
+test('follows the blueprint weights unless a domain runs out', () => {
+  const exams = generateExams(ids);
+
+  exams.forEach(exam => {
+    const counts = groupByTopic(exam);
+    apportionByWeight(exam.length).forEach((target, topic) => {
+      const have = counts.get(topic)?.length || 0;
+      const available = Math.floor((pools.get(topic)?.length || 0) / exams.length);
+      assert.ok(have >= Math.min(target, available), `${topic}: ${have} of ${target}`);
+    });
+  });
+});
+
+test('unchecking every answer clears the draft', () => {
+  const [qid] = ids;
+  const { correct } = state.getQuestion(qid);
+  state.setMode(MODES.EXAM);
+  state.initStack([qid]);
+
+  updateDraftState(correct, false, false);
+  saveCurrentAnswer(correct);
+  assert.equal(state.getQuestionState(qid).status, 'correct');
+
+  updateDraftState([], false, false);
+  saveCurrentAnswer([]);
+  assert.deepEqual(state.getQuestionState(qid).selectedAnswer, []);
+  assert.equal(state.getQuestionState(qid).status, 'unanswered');
+});
@@ -0,0 +1,89 @@
+/**
+ * Storage Sync Tests
+ * Синхронизация между две устройства през storage.js и сървъра в паметта
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDevice } from './helpers/devices.js';
+import { createMemoryBackend } from '../js/backend-memory.js';
+
+// Browser globals storage.js touches; both devices use one profile, so one localStorage is fine
+const items = new Map();
+globalThis.localStorage = {
+  getItem: key => items.get(key) ?? null,
+  setItem: (key, value) => items.set(key, String(value)),
+  removeItem: key => items.delete(key)
+};
+globalThis.document = { getElementById: () => null };
+
+// Sync progress messages would mix with the test runner's output
+console.log = () => {};
+
+/**
+ * Wait until saves and the change notifications they cause are done
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+let a;
+let b;
+let server;
+
+before(async () => {
+  a = await loadDevice('a');
+  b = await loadDevice('b');
+  server = createMemoryBackend();
+
+  await a.storage.initLocalStore();
+  await a.storage.initCloud(() => {});
+  a.state.addExamHistory({ examIndex: 0, score: 80, date: new Date(1000).toISOString() });
+  a.storage.saveAll();
+  await settle();
+
+  await b.storage.initLocalStore();
+  await b.storage.initCloud(() => {});
+});
+
+test('devices are separate', () => {
+  assert.notEqual(a.state, b.state);
+  assert.equal(a.state.getSyncId(), b.state.getSyncId());
+});
+
+test('a new device loads the profile from the cloud', () => {
+  assert.deepEqual(b.state.getExamHistory().map(e => e.score), [80]);
+});
+
+test('changes made on both devices at once end up on both', async () => {
+  a.state.addAttempt(1, { date: 2000, correct: true });
+  b.state.addAttempt(2, { date: 2001, correct: false });
+  a.storage.saveAll();
+  b.storage.saveAll();
+  await settle();
+
+  const cloud = await server.load(`users/${a.state.getSyncId()}`);
+  const deck = cloud.decks[a.state.getActiveDeckId()];
+  assert.deepEqual(Object.keys(deck.attemptLog).sort(), ['1', '2']);
+
+  for (const device of [a, b]) {
+    assert.equal(device.state.getAttempts(1).length, 1);
+    assert.equal(device.state.getAttempts(2).length, 1);
+  }
+});
+
+test('a preset deleted on one device stays deleted on the other', async () => {
+  const id = a.state.saveSessionPreset('Weak', { topics: ['data'] });
+  a.storage.saveAll();
+  await settle();
+  assert.equal(b.state.getSessionPresets().length, 1);
+
+  b.state.deleteSessionPreset(id);
+  a.state.addAttempt(3, { date: 3000, correct: true });
+  b.storage.saveAll();
+  a.storage.saveAll();
+  await settle();
+
+  assert.deepEqual(a.state.getSessionPresets(), []);
+  assert.deepEqual(b.state.getSessionPresets(), []);
+  assert.equal(b.state.getAttempts(3).length, 1);
+});
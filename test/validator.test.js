@@ -0,0 +1,36 @@
+/**
+ * Question Validator Tests
+ * Проверка на импортирани и заредени въпроси
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuestions } from '../js/validator.js';
+
+/**
+ * Build a valid question with some fields replaced
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const question = fields => ({ number: 1, question: 'Pick one', answers: { A: 'One', B: 'Two' }, correct: ['A'], ...fields });
+
+test('accepts a well-formed question', () => {
+  assert.equal(validateQuestions([question({})]).valid.length, 1);
+});
+
+test('rejects answer keys other than one capital letter', () => {
+  const crafted = question({ answers: { 'A" onmouseover="alert(1)': 'One', B: 'Two' }, correct: ['B'] });
+  const { valid, problems } = validateQuestions([crafted, question({ number: 2, answers: { a: 'One', B: 'Two' }, correct: ['B'] })]);
+  assert.equal(valid.length, 0);
+  assert.equal(problems.filter(p => p.severity === 'error').length, 2);
+});
+
+test('rejects correct letters and rationale that only exist on the prototype', () => {
+  ['toString', 'constructor'].forEach(letter => {
+    const { valid } = validateQuestions([question({ correct: [letter] })]);
+    assert.equal(valid.length, 0, letter);
+  });
+
+  const { problems } = validateQuestions([question({ rationale: { A: 'Right', toString: 'Odd' } })]);
+  assert.equal(problems.filter(p => p.severity === 'warning').length, 1);
+});